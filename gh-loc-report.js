@@ -2,64 +2,919 @@
 require('dotenv').config();
 const { Octokit } = require('@octokit/rest');
 const fs = require('fs').promises;
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const readline = require('readline');
+
+// Extension (lower-case, without the dot) to language name
+const LANGUAGE_BY_EXTENSION = {
+  js: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript', jsx: 'JavaScript',
+  ts: 'TypeScript', mts: 'TypeScript', cts: 'TypeScript', tsx: 'TypeScript',
+  py: 'Python', pyi: 'Python',
+  rb: 'Ruby', erb: 'Ruby',
+  go: 'Go',
+  rs: 'Rust',
+  java: 'Java',
+  kt: 'Kotlin', kts: 'Kotlin',
+  scala: 'Scala',
+  groovy: 'Groovy', gradle: 'Groovy',
+  swift: 'Swift',
+  m: 'Objective-C', mm: 'Objective-C',
+  c: 'C', h: 'C',
+  cc: 'C++', cpp: 'C++', cxx: 'C++', hh: 'C++', hpp: 'C++', hxx: 'C++',
+  cs: 'C#',
+  fs: 'F#',
+  php: 'PHP',
+  pl: 'Perl', pm: 'Perl',
+  lua: 'Lua',
+  r: 'R',
+  dart: 'Dart',
+  ex: 'Elixir', exs: 'Elixir',
+  erl: 'Erlang',
+  clj: 'Clojure', cljs: 'Clojure',
+  hs: 'Haskell',
+  ml: 'OCaml',
+  sh: 'Shell', bash: 'Shell', zsh: 'Shell',
+  ps1: 'PowerShell',
+  sql: 'SQL',
+  html: 'HTML', htm: 'HTML',
+  css: 'CSS', scss: 'SCSS', sass: 'Sass', less: 'Less',
+  vue: 'Vue',
+  svelte: 'Svelte',
+  json: 'JSON',
+  yml: 'YAML', yaml: 'YAML',
+  toml: 'TOML',
+  xml: 'XML',
+  md: 'Markdown', mdx: 'Markdown',
+  rst: 'reStructuredText',
+  proto: 'Protocol Buffers',
+  graphql: 'GraphQL', gql: 'GraphQL',
+  tf: 'HCL', hcl: 'HCL'
+};
+
+// Well-known files without a meaningful extension
+const LANGUAGE_BY_FILENAME = {
+  dockerfile: 'Dockerfile',
+  makefile: 'Makefile',
+  gemfile: 'Ruby',
+  rakefile: 'Ruby',
+  jenkinsfile: 'Groovy'
+};
+
+// Offset of a time zone from UTC at the given instant, in milliseconds
+function getTimeZoneOffset(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = parseInt(value, 10); });
+  
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Midnight of a calendar day in the given time zone, as a UTC instant
+function zonedMidnight(year, month, day, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  // Re-check the offset at the first result so DST transitions land on the right side
+  const firstPass = guess - getTimeZoneOffset(new Date(guess), timeZone);
+  return new Date(guess - getTimeZoneOffset(new Date(firstPass), timeZone));
+}
+
+function formatDateInZone(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+// ISO 8601 week ("2025-W01") of a calendar date given as YYYY-MM-DD
+function getIsoWeek(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const dayOfWeek = date.getUTCDay() || 7;
+  // The Thursday of the same week decides which year the week belongs to
+  date.setUTCDate(date.getUTCDate() + 4 - dayOfWeek);
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((date.getTime() - yearStart) / 86400000 + 1) / 7);
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Turns --year/--since/--until/--quarter/--month/--last into { label, since, until, timeZone }.
+// `until` is inclusive: the last millisecond before the next period starts.
+function resolvePeriod(options = {}, now = new Date()) {
+  const timeZone = options.tz || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw new Error(`Unknown time zone '${timeZone}'`);
+  }
+  
+  const shortcuts = ['quarter', 'month', 'last', 'since'].filter(key => options[key]);
+  if (shortcuts.length > 1) {
+    throw new Error(`Use only one of --since/--until, --quarter, --month or --last`);
+  }
+  if (options.until && !options.since) {
+    throw new Error('--until requires --since');
+  }
+  
+  const period = (label, since, nextStart) => ({
+    label,
+    since,
+    until: new Date(nextStart.getTime() - 1),
+    timeZone
+  });
+  
+  if (options.quarter) {
+    const match = /^(\d{4})-?Q([1-4])$/i.exec(options.quarter);
+    if (!match) {
+      throw new Error(`Invalid quarter '${options.quarter}', expected e.g. 2025Q3`);
+    }
+    const year = parseInt(match[1], 10);
+    const quarter = parseInt(match[2], 10);
+    const startMonth = (quarter - 1) * 3 + 1;
+    return period(
+      `${year}Q${quarter}`,
+      zonedMidnight(year, startMonth, 1, timeZone),
+      quarter === 4 ? zonedMidnight(year + 1, 1, 1, timeZone) : zonedMidnight(year, startMonth + 3, 1, timeZone)
+    );
+  }
+  
+  if (options.month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(options.month);
+    const month = match ? parseInt(match[2], 10) : 0;
+    if (!match || month < 1 || month > 12) {
+      throw new Error(`Invalid month '${options.month}', expected e.g. 2025-06`);
+    }
+    const year = parseInt(match[1], 10);
+    return period(
+      options.month,
+      zonedMidnight(year, month, 1, timeZone),
+      month === 12 ? zonedMidnight(year + 1, 1, 1, timeZone) : zonedMidnight(year, month + 1, 1, timeZone)
+    );
+  }
+  
+  if (options.last) {
+    const match = /^(\d+)([dw])$/.exec(options.last);
+    if (!match || parseInt(match[1], 10) === 0) {
+      throw new Error(`Invalid duration '${options.last}', expected e.g. 90d or 12w`);
+    }
+    const days = parseInt(match[1], 10) * (match[2] === 'w' ? 7 : 1);
+    const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    return {
+      label: `${formatDateInZone(since, timeZone)}_${formatDateInZone(now, timeZone)}`,
+      since,
+      until: now,
+      timeZone
+    };
+  }
+  
+  if (options.since) {
+    // Date-only values are whole local days; anything else is taken as a full ISO timestamp
+    const parseBound = (value, isEnd) => {
+      // Date.UTC rolls 2025-02-30 over to March 2, so a day that doesn't exist comes back different
+      const calendarDate = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+      if (calendarDate) {
+        const [year, month, day] = calendarDate.slice(1).map(Number);
+        const rebuilt = new Date(Date.UTC(year, month - 1, day));
+        if (rebuilt.getUTCFullYear() !== year || rebuilt.getUTCMonth() !== month - 1 || rebuilt.getUTCDate() !== day) {
+          throw new Error(`Invalid date '${value}': ${calendarDate[0]} does not exist`);
+        }
+      }
+      
+      const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+      if (dateOnly) {
+        const [year, month, day] = dateOnly.slice(1).map(Number);
+        const midnight = zonedMidnight(year, month, day, timeZone);
+        if (!isEnd) return midnight;
+        const nextDay = new Date(Date.UTC(year, month - 1, day + 1));
+        return new Date(zonedMidnight(nextDay.getUTCFullYear(), nextDay.getUTCMonth() + 1, nextDay.getUTCDate(), timeZone).getTime() - 1);
+      }
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date '${value}', expected an ISO date such as 2025-03-01`);
+      }
+      return date;
+    };
+    
+    const since = parseBound(options.since, false);
+    const until = options.until ? parseBound(options.until, true) : now;
+    if (until < since) {
+      throw new Error(`--until (${options.until}) is before --since (${options.since})`);
+    }
+    return {
+      label: `${formatDateInZone(since, timeZone)}_${formatDateInZone(until, timeZone)}`,
+      since,
+      until,
+      timeZone
+    };
+  }
+  
+  const year = parseInt(options.year || 2025, 10);
+  return period(`${year}`, zonedMidnight(year, 1, 1, timeZone), zonedMidnight(year + 1, 1, 1, timeZone));
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Horizontal SVG bar chart; items are { label, value, detail }
+function renderBarChartSvg(items, { width = 640, barHeight = 22, labelWidth = 140, color = '#2f81f7' } = {}) {
+  if (items.length === 0) {
+    return '<p class="empty">No data</p>';
+  }
+  
+  const maxValue = Math.max(1, ...items.map(item => item.value));
+  const chartWidth = width - labelWidth - 120;
+  const height = items.length * (barHeight + 6);
+  const bars = items.map((item, index) => {
+    const y = index * (barHeight + 6);
+    const barWidth = Math.max(1, Math.round(item.value / maxValue * chartWidth));
+    return `<g transform="translate(0,${y})">` +
+      `<text x="${labelWidth - 8}" y="${barHeight / 2}" dy="0.35em" text-anchor="end">${escapeHtml(item.label)}</text>` +
+      `<rect x="${labelWidth}" width="${barWidth}" height="${barHeight}" rx="3" fill="${color}"><title>${escapeHtml(item.detail || item.value.toLocaleString())}</title></rect>` +
+      `<text x="${labelWidth + barWidth + 6}" y="${barHeight / 2}" dy="0.35em">${escapeHtml(item.value.toLocaleString())}</text>` +
+      `</g>`;
+  });
+  
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">${bars.join('')}</svg>`;
+}
+
+// Output formats for saveResults. Each formatter renders the full results object into one file.
+const REPORT_FORMATTERS = {
+  json: {
+    extension: 'json',
+    prefix: 'github-loc',
+    description: 'Detailed results',
+    render: (calculator, results) => JSON.stringify(results, null, 2)
+  },
+  txt: {
+    extension: 'txt',
+    prefix: 'github-loc-summary',
+    description: 'Summary',
+    render: (calculator, results) => calculator.generateTextSummary(results)
+  },
+  md: {
+    extension: 'md',
+    prefix: 'github-loc-summary',
+    description: 'Markdown summary',
+    render: (calculator, results) => calculator.generateMarkdownSummary(results)
+  },
+  csv: {
+    extension: 'csv',
+    prefix: 'github-loc-repos',
+    description: 'Repository CSV',
+    render: (calculator, results) => calculator.generateCsv(results)
+  },
+  html: {
+    extension: 'html',
+    prefix: 'github-loc-report',
+    description: 'HTML report',
+    render: (calculator, results) => calculator.generateHtmlReport(results)
+  }
+};
+
+const DEFAULT_FORMATS = ['json', 'txt'];
+
+// Version of the JSON report shape documented in report.schema.json. Bump it when a field is
+// renamed, removed or retyped, and teach upgradeReport to convert the previous version
+const REPORT_SCHEMA_VERSION = 1;
+const REPORT_SCHEMA = require('./report.schema.json');
+
+function parseFormats(value) {
+  const formats = value.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter(format => !REPORT_FORMATTERS[format]);
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new Error(`Unknown format '${unknown.join(',') || value}', expected a list of: ${Object.keys(REPORT_FORMATTERS).join(', ')}`);
+  }
+  return [...new Set(formats)];
+}
+
+// Commits whose numstat is read from git in one go in local mode
+const LOCAL_COMMIT_BATCH_SIZE = 500;
+
+// git log --numstat prints renames as "old => new" or "dir/{old => new}/file"; keep the new path
+function parseNumstatPath(filePath) {
+  let result = filePath;
+  if (result.startsWith('"') && result.endsWith('"')) {
+    result = result.slice(1, -1);
+  }
+  if (result.includes('{') && result.includes(' => ')) {
+    return result.replace(/\{[^{}]* => ([^{}]*)\}/g, '$1').replace(/\/\/+/g, '/');
+  }
+  const arrow = result.indexOf(' => ');
+  return arrow === -1 ? result : result.substring(arrow + 4);
+}
+
+// Built-in exclude rules, applied unless a config file replaces them. Globs follow .gitignore
+// conventions: without a slash they match at any depth, a leading slash anchors to the root.
+const DEFAULT_EXCLUDE_GLOBS = [
+  // Lock files
+  'package-lock.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'composer.lock',
+  'Gemfile.lock',
+  'poetry.lock',
+  'Pipfile.lock',
+  
+  // Minified files
+  '*.min.{js,css}',
+  '*.bundle.{js,css}',
+  
+  // Source maps
+  '*.map',
+  
+  // Build/dist directories
+  '/{dist,build,out,target,bin,obj}/**',
+  'node_modules/',
+  'vendor/',
+  '__pycache__/',
+  '.pytest_cache/',
+  
+  // Generated files
+  '*.generated.*',
+  '*.auto.*',
+  '/generated/**',
+  
+  // Documentation builds
+  '/docs/_build/**',
+  '/site/**',
+  
+  // IDE files
+  '.vscode/',
+  '.idea/',
+  
+  // Large data files that shouldn't count as code
+  '*.{jpg,jpeg,png,gif,svg,ico,pdf,zip,tar,gz,rar,7z,exe,dmg}',
+  '*.{mp4,avi,mov,wmv,mp3,wav,ogg}',
+  
+  // Database files
+  '*.{db,sqlite,sqlite3}',
+  
+  // Log files
+  '*.{log,logs}',
+  '/logs/**'
+];
+
+// Categories of included files, checked in this order; a file matching none of them is source.
+// Globs follow the same conventions as DEFAULT_EXCLUDE_GLOBS
+const DEFAULT_CATEGORY_GLOBS = {
+  test: [
+    '__tests__/', 'test/', 'tests/', 'spec/', '__mocks__/', 'fixtures/',
+    '*.test.*', '*.spec.*', '*_test.go', 'test_*.py', '*_test.py', '*_spec.rb',
+    '*Test.{java,kt,scala}', '*Tests.{cs,swift}', 'test-*.js'
+  ],
+  ci: [
+    '/.github/workflows/', '/.github/actions/', '/.circleci/', '/.buildkite/',
+    '/.gitlab-ci.yml', '/.travis.yml', '/azure-pipelines.yml', '/Jenkinsfile', '/bitbucket-pipelines.yml'
+  ],
+  docs: ['docs/', 'doc/', '*.{md,mdx,rst,adoc}', 'LICENSE*', 'CHANGELOG*'],
+  config: [
+    '*.{yml,yaml,toml,ini,cfg,conf,json,properties}', '.*rc', '.*rc.{js,cjs,json}', '*.config.{js,cjs,mjs,ts}',
+    '.env*', '.editorconfig', '.gitignore', '.gitattributes', '.dockerignore', 'Dockerfile*', 'Makefile', 'requirements*.txt'
+  ]
+};
+
+const CATEGORY_LABELS = { source: 'Source', test: 'Tests', docs: 'Docs', config: 'Config', ci: 'CI' };
+
+// Repository selection; values of one list are alternatives, different filters must all match
+const DEFAULT_REPO_FILTER = {
+  forks: 'include',
+  archived: 'include',
+  visibility: null,
+  owners: [],
+  topics: [],
+  repos: [],
+  excludeRepos: []
+};
+
+// Looked up in the working directory when --config is not given
+const CONFIG_FILES = ['.locreportrc.json', 'locreport.config.js'];
+
+// Supports *, **, ?, [abc] and {a,b}
+function globToRegExp(glob) {
+  let pattern = glob.trim();
+  if (pattern.endsWith('/')) {
+    pattern += '**';
+  }
+  if (pattern.startsWith('/')) {
+    pattern = pattern.substring(1);
+  } else if (!pattern.replace(/\/\*\*$/, '').includes('/')) {
+    pattern = `**/${pattern}`;
+  }
+  
+  const convert = source => {
+    let result = '';
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (char === '*' && source[i + 1] === '*') {
+        const followedBySlash = source[i + 2] === '/';
+        result += followedBySlash ? '(?:.*/)?' : '.*';
+        i += followedBySlash ? 2 : 1;
+      } else if (char === '*') {
+        result += '[^/]*';
+      } else if (char === '?') {
+        result += '[^/]';
+      } else if (char === '[' && source.indexOf(']', i + 1) !== -1) {
+        const end = source.indexOf(']', i + 1);
+        result += `[${source.substring(i + 1, end).replace(/^!/, '^')}]`;
+        i = end;
+      } else if (char === '{' && source.indexOf('}', i + 1) !== -1) {
+        const end = source.indexOf('}', i + 1);
+        result += `(?:${source.substring(i + 1, end).split(',').map(convert).join('|')})`;
+        i = end;
+      } else {
+        result += char.replace(/[.+^$()|\\]/g, '\\$&');
+      }
+    }
+    return result;
+  };
+  
+  return new RegExp(`^${convert(pattern)}$`);
+}
+
+// .gitattributes markers GitHub uses to leave files out of a repository's language stats
+const LINGUIST_EXCLUDE_ATTRIBUTES = ['linguist-generated', 'linguist-vendored', 'linguist-documentation'];
+
+// Returns the .gitattributes lines that set a linguist marker, in file order; later lines win
+function parseGitAttributes(content) {
+  const rules = [];
+  
+  content.split(/\r?\n/).forEach(line => {
+    const [pattern, ...tokens] = line.trim().split(/\s+/);
+    if (!pattern || pattern.startsWith('#') || pattern.startsWith('[attr]')) {
+      return;
+    }
+    
+    const attributes = {};
+    tokens.forEach(token => {
+      const [, prefix, name, value] = /^([-!]?)([^=]+)(?:=(.*))?$/.exec(token) || [];
+      if (LINGUIST_EXCLUDE_ATTRIBUTES.includes(name)) {
+        // "-attr", "!attr" and "attr=false" all clear a marker set by an earlier line
+        attributes[name] = prefix === '' && value !== 'false';
+      }
+    });
+    
+    if (Object.keys(attributes).length > 0) {
+      rules.push({ pattern, matcher: globToRegExp(pattern), attributes });
+    }
+  });
+  
+  return rules;
+}
+
+// People listed in "Co-authored-by: Name <email>" trailers of a commit message
+function parseCoAuthors(message) {
+  const coAuthors = [];
+  const trailer = /^co-authored-by:\s*(.*?)\s*<([^>]+)>\s*$/gim;
+  let match;
+  while ((match = trailer.exec(message || '')) !== null) {
+    coAuthors.push({ name: match[1], email: match[2] });
+  }
+  return coAuthors;
+}
+
+// Reads .locreportrc.json or locreport.config.js; returns {} with source 'built-in' when there is none
+async function loadConfig(configPath = null, cwd = process.cwd()) {
+  const candidates = configPath ? [path.resolve(cwd, configPath)] : CONFIG_FILES.map(file => path.join(cwd, file));
+  
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+    } catch (error) {
+      if (configPath) {
+        throw new Error(`Config file not found: ${configPath}`);
+      }
+      continue;
+    }
+    
+    let config;
+    if (candidate.endsWith('.js')) {
+      config = require(candidate);
+    } else {
+      try {
+        config = JSON.parse(await fs.readFile(candidate, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid config file ${candidate}: ${error.message}`);
+      }
+    }
+    
+    validateFileRules(config, path.basename(candidate));
+    validateCategories(config.categories, path.basename(candidate));
+    validateIdentities(config.identities, path.basename(candidate));
+    Object.entries(config.repos || {}).forEach(([repo, override]) => {
+      validateFileRules(override, `${path.basename(candidate)} repos["${repo}"]`);
+      validateCategories(override.categories, `${path.basename(candidate)} repos["${repo}"]`);
+    });
+    return { ...config, source: path.relative(cwd, candidate) || candidate };
+  }
+  
+  return { source: 'built-in' };
+}
+
+function validateFileRules(rules, where) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`${where} must be an object`);
+  }
+  ['include', 'exclude'].forEach(key => {
+    if (rules[key] !== undefined && (!Array.isArray(rules[key]) || rules[key].some(glob => typeof glob !== 'string'))) {
+      throw new Error(`${where}: "${key}" must be a list of glob strings`);
+    }
+  });
+  if (rules.replace !== undefined && typeof rules.replace !== 'boolean') {
+    throw new Error(`${where}: "replace" must be true or false`);
+  }
+}
+
+// categories: { "test": [...], "ci": [...], "docs": [...], "config": [...], "replace": false }
+function validateCategories(categories, where) {
+  if (categories === undefined) {
+    return;
+  }
+  if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+    throw new Error(`${where}: "categories" must map categories to lists of globs`);
+  }
+  Object.entries(categories).forEach(([category, globs]) => {
+    if (category === 'replace') {
+      if (typeof globs !== 'boolean') {
+        throw new Error(`${where}: categories.replace must be true or false`);
+      }
+    } else if (!DEFAULT_CATEGORY_GLOBS[category]) {
+      throw new Error(`${where}: unknown category "${category}", expected ${Object.keys(DEFAULT_CATEGORY_GLOBS).join(', ')} (anything else is source)`);
+    } else if (!Array.isArray(globs) || globs.some(glob => typeof glob !== 'string')) {
+      throw new Error(`${where}: categories.${category} must be a list of glob strings`);
+    }
+  });
+}
+
+// Layers configured category globs over the inherited ones, like mergeFileRules
+function mergeCategoryRules(base, categories = {}) {
+  const merged = {};
+  Object.keys(DEFAULT_CATEGORY_GLOBS).forEach(category => {
+    merged[category] = categories.replace ? categories[category] || [] : [...base[category], ...(categories[category] || [])];
+  });
+  return merged;
+}
+
+// identities: { "<user>": { "emails": [...], "logins": [...] } }
+function validateIdentities(identities, where) {
+  if (identities === undefined) {
+    return;
+  }
+  if (!identities || typeof identities !== 'object' || Array.isArray(identities)) {
+    throw new Error(`${where}: "identities" must map users to their emails and logins`);
+  }
+  Object.entries(identities).forEach(([user, identity]) => {
+    ['emails', 'logins'].forEach(key => {
+      if (identity[key] !== undefined && (!Array.isArray(identity[key]) || identity[key].some(value => typeof value !== 'string'))) {
+        throw new Error(`${where}: identities["${user}"].${key} must be a list of strings`);
+      }
+    });
+  });
+}
+
+// Layers a config rule set over the inherited one: lists extend it unless `replace` is set
+function mergeFileRules(base, rules = {}) {
+  return {
+    include: rules.replace ? rules.include || [] : [...base.include, ...(rules.include || [])],
+    exclude: rules.replace ? rules.exclude || [] : [...base.exclude, ...(rules.exclude || [])]
+  };
+}
+
+// The seen-commits file that goes with a checkpoint: checkpoint-x-2025.json -> checkpoint-x-2025.commits.jsonl
+function checkpointCommitsFile(checkpointFile) {
+  return `${checkpointFile.replace(/\.json$/, '')}.commits.jsonl`;
+}
+
+// Whole-line parts of total for each share that add up to the rounded credited total (largest
+// remainder first, ties to the earlier share), so split credit never adds up to more than was counted
+function apportion(total, shares) {
+  const exact = shares.map(share => total * share);
+  const parts = exact.map(value => Math.floor(value));
+  const target = Math.round(exact.reduce((sum, value) => sum + value, 0));
+  const leftover = Math.min(shares.length, target - parts.reduce((sum, part) => sum + part, 0));
+  exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .slice(0, leftover)
+    .forEach(({ index }) => { parts[index]++; });
+  return parts;
+}
+
+// Rough human-readable duration: "45s", "12 min", "3 h 5 min"
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) {
+    return `${Math.round(ms / 1000)}s`;
+  }
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Runs worker over items with at most `limit` calls in flight; results keep the input order
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
+
+// Commit diff stats never change, so they are cached on disk by owner/repo@sha.
+// The cache is a JSON-lines file: one { key, stats } record per line, appended as commits are fetched.
+class CommitStatsCache {
+  constructor(cacheDir = './.cache') {
+    this.filePath = path.join(cacheDir, 'commit-stats.jsonl');
+    this.entries = null;
+    this.loading = null;
+  }
+
+  static key(owner, repo, sha) {
+    return `${owner}/${repo}@${sha}`;
+  }
+
+  // Concurrent lookups share one read of the file, so none of them sees a half-loaded cache
+  load() {
+    if (!this.loading) {
+      this.loading = this.readEntries().then(entries => {
+        this.entries = entries;
+      });
+    }
+    return this.loading;
+  }
+
+  async readEntries() {
+    const entries = new Map();
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return entries;
+      throw error;
+    }
+    
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        entries.set(record.key, record.stats);
+      } catch (error) {
+        // A partially written last line (e.g. after a crash) is simply refetched
+      }
+    }
+    return entries;
+  }
+
+  async get(key) {
+    await this.load();
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, stats) {
+    await this.load();
+    this.entries.set(key, stats);
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, JSON.stringify({ key, stats }) + '\n');
+  }
+
+  async clear() {
+    this.entries = new Map();
+    this.loading = Promise.resolve();
+    await fs.rm(this.filePath, { force: true });
+  }
+
+  get size() {
+    return this.entries ? this.entries.size : 0;
+  }
+}
 
 class GitHubLOCCalculator {
-  constructor(token, username, year = 2025) {
+  constructor(token, username, year = 2025, options = {}) {
+    this.token = token;
     this.octokit = new Octokit({ 
       auth: token,
       request: {
         timeout: 30000, // 30 second timeout for large requests
       }
     });
-    this.username = username;
     this.year = year;
+    this.period = options.period || resolvePeriod({ year });
+    this.org = options.org || null;
+    this.repoFilter = { ...DEFAULT_REPO_FILTER, ...options.repoFilter };
+    this.users = options.users && options.users.length > 0 ? options.users : [username];
+    // The first of the analyzed users drives the author filter, labels and single-user matching
+    this.username = this.users[0];
+    // Credit for co-authors named in Co-authored-by trailers: 'none', 'full' or 'split'
+    this.coAuthors = options.coAuthors || 'none';
+    this.cache = options.cache === false ? null : new CommitStatsCache(options.cacheDir);
+    this.cacheHits = 0;
+    this.concurrency = options.concurrency || 1;
+    // Optional per-repository commit limit; no limit by default
+    this.maxCommits = options.maxCommits || null;
+    // A change to a file its author changed within this many days before counts as rework
+    this.reworkDays = options.reworkDays || 21;
+    // Branches to list commits from: 'default', 'all' or a glob such as 'release/*'
+    this.branches = options.branches || 'default';
+    // Every commit counted so far in this report, across repositories
+    this.seenCommits = new Set();
+    // Commits counted since the last checkpoint, appended to its commits file on the next save
+    this.uncheckpointedCommits = [];
+    this.checkpointCommitsStarted = false;
+    this.formats = options.formats || DEFAULT_FORMATS;
+    this.outputDir = options.outputDir || './reports';
+    // --verbose logs every API request
+    this.verbose = options.verbose || false;
+    // Project config (.locreportrc.json / locreport.config.js); file rules are compiled per repository
+    this.config = options.config || { source: 'built-in' };
+    this.fileRules = new Map();
+    this.categoryRules = new Map();
+    this.identities = this.buildIdentities(this.config.identities || {});
+    // linguist markers from each repository's .gitattributes, unless --no-gitattributes
+    this.useGitAttributes = options.gitattributes !== false;
+    this.linguistAttributes = new Map();
+    // Local git mode: analyze one existing clone (--local) or clone every repository (--clone)
+    this.localPath = options.local || null;
+    this.cloneRepos = options.clone || false;
+    this.cloneDir = options.cloneDir || './.cache/clones';
+    this.localRepoPaths = new Map();
+    this.localCommitStats = new Map();
+    this.checkpointFile = options.checkpointFile || options.resumeFrom ||
+      `${this.outputDir}/checkpoint-${this.getReportLabel()}-${this.period.label}.json`;
+    // --json-stdout writes no files, checkpoints included
+    this.useCheckpoint = options.checkpoint !== false;
+    this.retryFailed = options.retryFailed || false;
+    // --retry-failed on its own picks up the default checkpoint of the previous run
+    this.resumeFrom = options.resumeFrom || (this.retryFailed ? this.checkpointFile : null);
     this.requestCount = 0;
-    this.maxRequestsPerHour = 4800; // Conservative limit under 5000
+    this.rateLimit = null; // Latest { limit, remaining, reset } reported by GitHub
+    this.rateLimitWaitMs = 0;
+    this.maxRateLimitRetries = 5;
     this.startTime = Date.now();
+    
+    this.octokit.hook.wrap('request', (request, requestOptions) => this.throttleRequest(request, requestOptions));
   }
 
-  async rateLimitCheck() {
-    this.requestCount++;
-    
-    // Check if we're approaching rate limits
-    const elapsedHours = (Date.now() - this.startTime) / (1000 * 60 * 60);
-    const requestsPerHour = this.requestCount / elapsedHours;
-    
-    if (requestsPerHour > this.maxRequestsPerHour) {
-      const waitTime = (this.requestCount / this.maxRequestsPerHour) * 60 * 60 * 1000 - (Date.now() - this.startTime);
-      if (waitTime > 0) {
-        // Only log every 5 seconds to reduce noise
-        const now = Date.now();
-        if (!this.lastWaitLog || now - this.lastWaitLog >= 5000) {
-          const timeString = new Date().toLocaleString();
-          console.log(`[${timeString}] Rate limit protection hit. Waiting...`);
-          this.lastWaitLog = now;
+  // Every Octokit request goes through here: it waits while the budget is used up,
+  // records the rate-limit headers of each response and retries rate-limited requests
+  async throttleRequest(request, options) {
+    for (let attempt = 1; ; attempt++) {
+      await this.waitForRateLimit();
+      this.requestCount++;
+      if (this.verbose) {
+        const remaining = this.rateLimit ? ` (${this.rateLimit.remaining} left)` : '';
+        console.log(`    → ${options.method} ${options.url}${remaining}`);
+      }
+      
+      try {
+        const response = await request(options);
+        this.updateRateLimit(response.headers);
+        return response;
+      } catch (error) {
+        if (error.response) {
+          this.updateRateLimit(error.response.headers);
+        }
+        
+        const delay = this.getRateLimitDelay(error, attempt);
+        if (delay === null || attempt >= this.maxRateLimitRetries) {
+          throw error;
         }
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+        
+        this.logRateLimitWait(`GitHub rate limit hit (${error.status}), retrying in ${Math.ceil(delay / 1000)}s`);
+        await this.sleep(delay);
+        this.rateLimitWaitMs += delay;
       }
     }
+  }
+
+  updateRateLimit(headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+    
+    this.rateLimit = {
+      limit: parseInt(headers['x-ratelimit-limit'], 10),
+      remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+      reset: parseInt(headers['x-ratelimit-reset'], 10) * 1000
+    };
+  }
+
+  // Milliseconds to wait before retrying a failed request, or null if it is not a rate-limit error
+  getRateLimitDelay(error, attempt) {
+    if (error.status !== 403 && error.status !== 429) {
+      return null;
+    }
+    
+    const headers = (error.response && error.response.headers) || {};
+    if (headers['retry-after'] !== undefined) {
+      return parseInt(headers['retry-after'], 10) * 1000;
+    }
+    
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      return Math.max(parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now(), 0) + 1000;
+    }
     
-    // Progressive delay based on request count
-    const baseDelay = this.requestCount > 100 ? 150 : 100;
-    await new Promise(resolve => setTimeout(resolve, baseDelay));
+    // Secondary (abuse-detection) limits without retry-after: GitHub asks for at least a minute, backing off further
+    if (error.status === 429 || /secondary rate limit|abuse/i.test(error.message || '')) {
+      return 60000 * Math.pow(2, attempt - 1);
+    }
+    
+    return null;
+  }
+
+  async waitForRateLimit() {
+    if (!this.rateLimit || this.rateLimit.remaining > 0) {
+      return;
+    }
+    
+    const waitTime = this.rateLimit.reset - Date.now() + 1000;
+    if (waitTime > 0) {
+      this.logRateLimitWait(`Rate limit budget used up (${this.rateLimit.limit}/hour). Waiting ${Math.ceil(waitTime / 1000)}s until reset...`);
+      await this.sleep(waitTime);
+      this.rateLimitWaitMs += waitTime;
+    }
+    // The next response reports the fresh budget
+    this.rateLimit = null;
+  }
+
+  logRateLimitWait(message) {
+    // Only log every 5 seconds to reduce noise
+    const now = Date.now();
+    if (!this.lastWaitLog || now - this.lastWaitLog >= 5000) {
+      const timeString = new Date().toLocaleString();
+      console.log(`[${timeString}] ${message}`);
+      this.lastWaitLog = now;
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  isMultiUser() {
+    return this.users.length > 1;
+  }
+
+  // Lower-cased logins (the user's own first) and emails of every analyzed user
+  buildIdentities(configured) {
+    const identities = new Map();
+    this.users.forEach(user => {
+      const key = Object.keys(configured).find(name => name.toLowerCase() === user.toLowerCase());
+      const identity = (key && configured[key]) || {};
+      identities.set(user, {
+        logins: [user, ...(identity.logins || [])].map(login => login.toLowerCase()),
+        emails: (identity.emails || []).map(email => email.toLowerCase())
+      });
+    });
+    return identities;
+  }
+
+  // listCommits can only filter by one account on the server; aliases, extra emails,
+  // co-authors and local history need every commit matched here instead
+  needsFullScan() {
+    return this.isMultiUser() || this.isLocalMode() || this.coAuthors !== 'none' ||
+      [...this.identities.values()].some(identity => identity.logins.length > 1 || identity.emails.length > 0);
+  }
+
+  // Name used in report headers and output filenames
+  getReportLabel() {
+    if (this.isMultiUser()) {
+      return this.org || 'team';
+    }
+    return this.username;
   }
 
   async getAllRepositories() {
-    console.log('Fetching all repositories...');
+    console.log(this.org ? `Fetching all repositories for organization ${this.org}...` : 'Fetching all repositories...');
     const repos = [];
     let page = 1;
     let totalFetched = 0;
     
     while (true) {
-      await this.rateLimitCheck();
-      
       try {
-        const response = await this.octokit.rest.repos.listForAuthenticatedUser({
+        const params = {
           per_page: 100,
           page: page,
           sort: 'updated',
           direction: 'desc'
-        });
+        };
+        const response = this.org
+          ? await this.octokit.rest.repos.listForOrg({ ...params, org: this.org, type: 'all' })
+          : await this.octokit.rest.repos.listForAuthenticatedUser(params);
         
         if (response.data.length === 0) break;
         
@@ -84,13 +939,59 @@ class GitHubLOCCalculator {
     return repos;
   }
 
+  // Applies --exclude-forks, --exclude-archived, --visibility, --owner, --topic, --repo and --exclude-repo
+  filterRepositories(repos) {
+    const filter = this.repoFilter;
+    const lower = values => values.map(value => value.toLowerCase());
+    const owners = lower(filter.owners);
+    const topics = lower(filter.topics);
+    const includeGlobs = filter.repos.map(glob => this.createRepoMatcher(glob));
+    const excludeGlobs = filter.excludeRepos.map(glob => this.createRepoMatcher(glob));
+    
+    return repos.filter(repo => {
+      const visibility = repo.visibility || (repo.private ? 'private' : 'public');
+      return (filter.forks !== 'exclude' || !repo.fork) &&
+        (filter.archived !== 'exclude' || !repo.archived) &&
+        (!filter.visibility || visibility === filter.visibility) &&
+        (owners.length === 0 || owners.includes(repo.owner.login.toLowerCase())) &&
+        (topics.length === 0 || lower(repo.topics || []).some(topic => topics.includes(topic))) &&
+        (includeGlobs.length === 0 || includeGlobs.some(matches => matches(repo))) &&
+        !excludeGlobs.some(matches => matches(repo));
+    });
+  }
+
+  // e.g. "forks excluded, topic: service, repo: acme/*-service (12 of 80 repositories)"; null without filters
+  describeRepoSelection(selection) {
+    if (!selection) {
+      return null;
+    }
+    
+    const filter = selection.filter;
+    const parts = [];
+    if (filter.forks === 'exclude') parts.push('forks excluded');
+    if (filter.archived === 'exclude') parts.push('archived excluded');
+    if (filter.visibility) parts.push(`visibility: ${filter.visibility}`);
+    [['owner', filter.owners], ['topic', filter.topics], ['repo', filter.repos], ['not', filter.excludeRepos]].forEach(([label, values]) => {
+      if (values.length > 0) parts.push(`${label}: ${values.join(', ')}`);
+    });
+    
+    return parts.length > 0 ? `${parts.join('; ')} (${selection.selected} of ${selection.listed} repositories)` : null;
+  }
+
+  // "acme/*-service" matches full names, a glob without a slash matches the bare name
+  createRepoMatcher(glob) {
+    const pattern = globToRegExp(`/${glob.toLowerCase()}`);
+    const field = glob.includes('/') ? 'full_name' : 'name';
+    return repo => pattern.test(repo[field].toLowerCase());
+  }
+
   async getRepositoryByName(repoName) {
     console.log(`Searching for repository: ${repoName}`);
     const repos = await this.getAllRepositories();
     const repo = repos.find(repo => 
       repo.name === repoName || 
       repo.full_name === repoName ||
-      repo.full_name === `${this.username}/${repoName}`
+      repo.full_name === `${this.org || this.username}/${repoName}`
     );
     
     if (repo) {
@@ -107,75 +1008,185 @@ class GitHubLOCCalculator {
       console.log(`\nProcessing repository: ${repo.full_name}`);
       console.log(`Repository size: ${(repo.size / 1024).toFixed(2)} MB`);
       
-      const commits = await this.getCommitsForRepo(repo.owner.login, repo.name, since, until);
-      
-      if (commits.length === 0) {
-        console.log(`  No commits found for ${repo.name} in ${this.year}`);
-        return {
-          success: true,
-          stats: {
-            additions: 0,
-            deletions: 0,
-            commits: 0,
-            netLines: 0
-          }
-        };
+      if (this.isLocalMode()) {
+        if (!repo.localPath) {
+          repo.localPath = await this.ensureClone(repo);
+        }
+        this.localRepoPaths.set(repo.full_name, repo.localPath);
       }
-      
-      console.log(`  Found ${commits.length} commits to analyze`);
+      await this.loadGitAttributes(repo);
       
       let repoAdditions = 0;
       let repoDeletions = 0;
       let repoCommits = 0;
       let truncatedCommits = 0;
-      let commitProgress = 0;
+      let recoveredCommits = 0;
+      let commitLimitReached = false;
+      let duplicateCommits = 0;
+      // SHAs of this repository; they join the report-wide set only once it succeeds
+      const repoShas = new Set();
+      const authorMatches = {};
+      const fileTypeStats = {};
+      const languageStats = {};
+      const categoryStats = {};
+      const churn = { reworkAdditions: 0, reworkDeletions: 0, files: new Map(), lastChanges: new Map() };
+      // Per-user totals are only tracked when analyzing several users at once
+      const userStats = this.isMultiUser() ? {} : null;
+      const timeSeries = { monthly: {}, weekly: {} };
       
-      for (const commit of commits) {
-        commitProgress++;
-        if (commitProgress % 50 === 0) {
-          console.log(`    Processing commit ${commitProgress}/${commits.length}...`);
-        }
-        
-        const stats = await this.getCommitStatsWithRetry(
-          repo.owner.login, 
-          repo.name, 
-          commit.sha
-        );
+      // Each page of listed commits is analyzed before the next one is requested,
+      // so memory stays flat no matter how long the history is
+      for await (let commits of this.iterateCommitPages(repo.owner.login, repo.name, since, until)) {
+        // A commit reached from several branches counts once; one already counted in
+        // another repository (a fork and its upstream) is skipped as a duplicate
+        commits = commits.filter(commit => {
+          if (repoShas.has(commit.sha)) {
+            return false;
+          }
+          if (this.seenCommits.has(commit.sha)) {
+            duplicateCommits++;
+            return false;
+          }
+          return true;
+        });
         
-        if (stats.truncated) {
-          truncatedCommits++;
+        if (this.maxCommits !== null && repoCommits + commits.length > this.maxCommits) {
+          commits = commits.slice(0, this.maxCommits - repoCommits);
+          commitLimitReached = true;
         }
         
-        // Filter files and recalculate stats for large repositories
-        let filteredAdditions = 0;
-        let filteredDeletions = 0;
+        // Details are fetched in parallel but added up in commit order, so totals
+        // and breakdown key order match a serial run
+        commits.forEach(commit => repoShas.add(commit.sha));
+        let commitProgress = repoCommits;
+        const commitStats = await mapWithConcurrency(commits, this.concurrency, async commit => {
+          const stats = await this.getCommitStatsWithRetry(
+            repo.owner.login, 
+            repo.name, 
+            commit.sha
+          );
+          
+          commitProgress++;
+          if (commitProgress % 50 === 0) {
+            console.log(`    Processed ${commitProgress} commits...`);
+          }
+          
+          return stats;
+        });
         
-        if (stats.files.length > 0) {
-          // Process files individually for accurate filtering
-          for (const file of stats.files) {
-            if (this.shouldIncludeFile(file.filename)) {
-              const additions = file.additions || 0;
-              const deletions = file.deletions || 0;
-              
-              filteredAdditions += additions;
-              filteredDeletions += deletions;
+        for (let i = 0; i < commits.length; i++) {
+          const commit = commits[i];
+          const stats = commitStats[i];
+          
+          // Without a file list the lines can't be filtered, so the commit counts 0 lines and is reported
+          // as truncated rather than adding its unfiltered totals
+          if (stats.truncated || (stats.files.length === 0 && stats.total > 0)) {
+            truncatedCommits++;
+          } else if (stats.recovered) {
+            recoveredCommits++;
+          }
+          
+          // Filter files and recalculate stats for large repositories
+          let filteredAdditions = 0;
+          let filteredDeletions = 0;
+          const commitFileTypes = {};
+          const commitLanguages = {};
+          const commitCategories = {};
+          const includedFiles = [];
+          
+          if (stats.files.length > 0) {
+            // Process files individually for accurate filtering
+            for (const file of stats.files) {
+              if (this.shouldIncludeFile(file.filename, repo.full_name)) {
+                const additions = file.additions || 0;
+                const deletions = file.deletions || 0;
+                
+                filteredAdditions += additions;
+                filteredDeletions += deletions;
+                
+                this.addBreakdownEntry(commitFileTypes, this.getFileExtension(file.filename), { additions, deletions, files: 1 });
+                this.addBreakdownEntry(commitLanguages, this.getFileLanguage(file.filename), { additions, deletions, files: 1 });
+                this.addBreakdownEntry(commitCategories, this.classifyFile(file.filename, repo.full_name), { additions, deletions, files: 1 });
+                includedFiles.push(file);
+              }
             }
+            
+            // A commit counts once per extension/language/category it touched
+            [commitFileTypes, commitLanguages, commitCategories].forEach(breakdown => {
+              Object.values(breakdown).forEach(entry => { entry.commits = 1; });
+            });
+          }
+          
+          // Split co-author credit gives the repository only the analyzed users' share of the lines
+          const credits = this.matchCommit(commit);
+          const share = Math.min(1, credits.reduce((sum, credit) => sum + credit.share, 0));
+          const additions = Math.round(filteredAdditions * share);
+          const deletions = Math.round(filteredDeletions * share);
+          credits.forEach(credit => {
+            authorMatches[credit.method] = (authorMatches[credit.method] || 0) + 1;
+          });
+          const commitDate = this.getCommitDate(commit);
+          if (commitDate) {
+            const users = credits.map(credit => credit.user);
+            includedFiles.forEach(file => {
+              this.trackChurn(churn, file.filename, users, commitDate.getTime(),
+                Math.round((file.additions || 0) * share), Math.round((file.deletions || 0) * share));
+            });
+          }
+          
+          repoAdditions += additions;
+          repoDeletions += deletions;
+          repoCommits++;
+          this.mergeBreakdown(fileTypeStats, this.scaleBreakdown(commitFileTypes, share));
+          this.mergeBreakdown(languageStats, this.scaleBreakdown(commitLanguages, share));
+          this.mergeBreakdown(categoryStats, this.scaleBreakdown(commitCategories, share));
+          this.addTimeSeriesEntry(timeSeries, this.getCommitDate(commit), additions, deletions);
+          
+          if (userStats) {
+            const shares = credits.map(credit => credit.share);
+            const userAdditions = apportion(filteredAdditions, shares);
+            const userDeletions = apportion(filteredDeletions, shares);
+            const userFileTypes = this.splitBreakdown(commitFileTypes, shares);
+            const userLanguages = this.splitBreakdown(commitLanguages, shares);
+            credits.forEach(({ user }, index) => {
+              if (!userStats[user]) {
+                userStats[user] = { additions: 0, deletions: 0, commits: 0, netLines: 0, fileTypeStats: {}, languageStats: {} };
+              }
+              
+              const authorStats = userStats[user];
+              authorStats.additions += userAdditions[index];
+              authorStats.deletions += userDeletions[index];
+              authorStats.netLines = authorStats.additions - authorStats.deletions;
+              authorStats.commits++;
+              this.mergeBreakdown(authorStats.fileTypeStats, userFileTypes[index]);
+              this.mergeBreakdown(authorStats.languageStats, userLanguages[index]);
+            });
           }
-        } else if (stats.total > 0) {
-          // For truncated commits where we don't have file details,
-          // use the total stats but add a warning
-          filteredAdditions = stats.additions;
-          filteredDeletions = stats.deletions;
         }
         
-        repoAdditions += filteredAdditions;
-        repoDeletions += filteredDeletions;
-        repoCommits++;
-      }
+        if (commitLimitReached) {
+          console.warn(`  Stopped after ${this.maxCommits} commits (--max-commits); ${repo.full_name} has more in ${this.period.label}`);
+          break;
+        }
+      }
+      
+      if (repoCommits === 0) {
+        console.log(`  No commits found for ${repo.name} in ${this.period.label}`);
+      }
+      if (duplicateCommits > 0) {
+        console.log(`  Skipped ${duplicateCommits} commits already counted in another repository`);
+      }
+      repoShas.forEach(sha => {
+        this.seenCommits.add(sha);
+        this.uncheckpointedCommits.push(sha);
+      });
       
       if (truncatedCommits > 0) {
         console.warn(`  Warning: ${truncatedCommits} commits had truncated file lists`);
       }
+      if (recoveredCommits > 0) {
+        console.log(`  ${recoveredCommits} large commits recovered by fetching their full file list`);
+      }
       
       const netLines = repoAdditions - repoDeletions;
       console.log(`  ${repo.name}: +${repoAdditions.toLocaleString()} -${repoDeletions.toLocaleString()} (${repoCommits} commits)`);
@@ -187,7 +1198,17 @@ class GitHubLOCCalculator {
           deletions: repoDeletions,
           commits: repoCommits,
           netLines: netLines,
-          truncatedCommits: truncatedCommits
+          truncatedCommits: truncatedCommits,
+          recoveredCommits: recoveredCommits,
+          fileTypeStats: fileTypeStats,
+          languageStats: languageStats,
+          categoryStats: categoryStats,
+          churn: this.summarizeChurn(churn, repoAdditions, repoDeletions),
+          timeSeries: timeSeries,
+          commitLimitReached: commitLimitReached,
+          duplicateCommits: duplicateCommits,
+          authorMatches: authorMatches,
+          ...(userStats && { userStats: userStats })
         }
       };
       
@@ -206,82 +1227,228 @@ class GitHubLOCCalculator {
     }
   }
 
-  async getCommitsForRepo(owner, repo, since, until) {
-    try {
-      const commits = [];
-      let page = 1;
-      let totalFetched = 0;
-      const maxCommitsPerRepo = 5000; // Increased limit for large repositories
+  // Yields the analyzed users' commits one listing page at a time
+  async *iterateCommitPages(owner, repo, since, until) {
+    if (this.isLocalMode()) {
+      yield* this.iterateLocalCommitPages(owner, repo, since, until);
+      return;
+    }
+    
+    const branches = await this.getBranchesToAnalyze(owner, repo);
+    for (const branch of branches) {
+      yield* this.iterateBranchCommitPages(owner, repo, since, until, branch);
+    }
+  }
+
+  // null stands for the default branch
+  async getBranchesToAnalyze(owner, repo) {
+    if (this.branches === 'default') {
+      return [null];
+    }
+    
+    const matcher = this.branches === 'all' ? null : globToRegExp(`/${this.branches}`);
+    const branches = [];
+    let page = 1;
+    while (true) {
+      const response = await this.octokit.rest.repos.listBranches({ owner, repo, per_page: 100, page });
+      if (response.data.length === 0) break;
       
-      console.log(`  Fetching commits for ${repo}...`);
+      branches.push(...response.data.map(branch => branch.name).filter(name => !matcher || matcher.test(name)));
+      page++;
+    }
+    
+    console.log(`  Branches: ${branches.length > 0 ? branches.join(', ') : `none matching ${this.branches}`}`);
+    return branches;
+  }
+
+  async *iterateBranchCommitPages(owner, repo, since, until, branch) {
+    let page = 1;
+    let totalFetched = 0;
+    
+    console.log(`  Fetching commits for ${repo}${branch ? ` (${branch})` : ''}...`);
+    
+    while (true) {
+      const response = await this.octokit.rest.repos.listCommits({
+        owner,
+        repo,
+        ...(branch && { sha: branch }),
+        ...(!this.needsFullScan() && { author: this.username }),
+        since: since.toISOString(),
+        until: until.toISOString(),
+        per_page: 100,
+        page: page
+      });
       
-      while (totalFetched < maxCommitsPerRepo) {
-        await this.rateLimitCheck();
-        
-        const response = await this.octokit.rest.repos.listCommits({
-          owner,
-          repo,
-          author: this.username,
-          since: since.toISOString(),
-          until: until.toISOString(),
-          per_page: 100,
-          page: page
-        });
-        
-        if (response.data.length === 0) break;
-        
-        commits.push(...response.data);
-        totalFetched += response.data.length;
-        page++;
-        
-        if (totalFetched % 500 === 0) {
-          console.log(`    Fetched ${totalFetched} commits so far...`);
-        }
+      if (response.data.length === 0) break;
+      
+      totalFetched += response.data.length;
+      page++;
+      
+      if (totalFetched % 500 === 0) {
+        console.log(`    Listed ${totalFetched} commits so far...`);
       }
       
-      if (totalFetched >= maxCommitsPerRepo) {
-        console.warn(`    Limited to ${maxCommitsPerRepo} commits for ${repo} to prevent API exhaustion`);
+      if (this.needsFullScan()) {
+        yield response.data.filter(commit => this.matchCommit(commit).length > 0);
+      } else {
+        yield response.data;
       }
+    }
+  }
+
+  // The analyzed users credited with a commit, with their share of its lines and how
+  // they were recognized: login, alias, email, name or coAuthor
+  matchCommit(commit) {
+    const details = commit.commit || {};
+    if (!this.needsFullScan()) {
+      // Already filtered by account on the server
+      return [{ user: this.username, share: 1, method: 'login' }];
+    }
+    
+    const gitAuthor = details.author || {};
+    const authorPerson = { login: commit.author && commit.author.login, name: gitAuthor.name, email: gitAuthor.email };
+    const author = this.resolveIdentity(authorPerson);
+    const credits = author ? [{ user: author.user, share: 1, method: author.method }] : [];
+    
+    if (this.coAuthors !== 'none') {
+      // Everyone on the commit once, known by the analyzed user they resolve to and by their
+      // address, so a repeated trailer or one naming the author doesn't shrink the split
+      const seen = new Set();
+      let people = 0;
+      const addPerson = (person, match) => {
+        const keys = [
+          match && `user:${match.user}`,
+          person.email && `email:${person.email.toLowerCase()}`,
+          person.login && `login:${person.login.toLowerCase()}`
+        ].filter(Boolean);
+        if (keys.length === 0 || !keys.some(key => seen.has(key))) people++;
+        keys.forEach(key => seen.add(key));
+      };
+      addPerson(authorPerson, author);
+      parseCoAuthors(details.message).forEach(person => {
+        const match = this.resolveIdentity(person);
+        addPerson(person, match);
+        if (match && !credits.some(credit => credit.user === match.user)) {
+          credits.push({ user: match.user, share: 1, method: 'coAuthor' });
+        }
+      });
       
-      return commits;
-    } catch (error) {
-      console.error(`Error fetching commits for ${owner}/${repo}:`, error.message);
-      return [];
+      if (this.coAuthors === 'split') {
+        credits.forEach(credit => { credit.share = 1 / people; });
+      }
+    }
+    
+    return credits;
+  }
+
+  // Finds the analyzed user behind a login, git author name or email, using the
+  // identity map and users.noreply.github.com addresses. Names are only trusted in local mode,
+  // where commits carry no login; on the API anyone can be called "dan"
+  resolveIdentity({ login, name, email }) {
+    const matchName = this.isLocalMode();
+    const noreply = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i.exec(email || '');
+    
+    for (const [user, identity] of this.identities) {
+      if (login && identity.logins.includes(login.toLowerCase())) {
+        return { user, method: login.toLowerCase() === identity.logins[0] ? 'login' : 'alias' };
+      }
+      if (email && (identity.emails.includes(email.toLowerCase()) || (noreply && identity.logins.includes(noreply[1].toLowerCase())))) {
+        return { user, method: 'email' };
+      }
+      if (matchName && !login && name && identity.logins.includes(name.toLowerCase())) {
+        return { user, method: 'name' };
+      }
+    }
+    
+    return null;
+  }
+
+  // Credited lines of a breakdown; commit and file counts are not divided
+  scaleBreakdown(breakdown, share) {
+    return this.splitBreakdown(breakdown, [share])[0];
+  }
+
+  // One breakdown per share, with each entry's lines apportioned between them
+  splitBreakdown(breakdown, shares) {
+    if (shares.every(share => share === 1)) {
+      return shares.map(() => breakdown);
     }
+    
+    const parts = shares.map(() => ({}));
+    Object.entries(breakdown).forEach(([key, entry]) => {
+      const additions = apportion(entry.additions, shares);
+      const deletions = apportion(entry.deletions, shares);
+      parts.forEach((part, index) => {
+        part[key] = { ...entry, additions: additions[index], deletions: deletions[index] };
+      });
+    });
+    return parts;
   }
 
   async getCommitStatsWithRetry(owner, repo, sha, maxRetries = 3) {
+    const cacheKey = CommitStatsCache.key(owner, repo, sha);
+    if (this.localCommitStats.has(cacheKey)) {
+      return this.localCommitStats.get(cacheKey);
+    }
+    if (this.cache) {
+      const cached = await this.cache.get(cacheKey);
+      // Truncated entries (e.g. written before file lists were paged) are fetched again
+      if (cached && !cached.truncated) {
+        this.cacheHits++;
+        return cached;
+      }
+    }
+    
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        await this.rateLimitCheck();
-        
         const response = await this.octokit.rest.repos.getCommit({
           owner,
           repo,
           ref: sha
         });
         
-        // Handle large commits that might be truncated
         const stats = response.data.stats || { additions: 0, deletions: 0, total: 0 };
-        const files = response.data.files || [];
+        let files = response.data.files || [];
+        let recovered = false;
         
-        // If files array is truncated (GitHub truncates at 300 files)
-        if (files.length >= 300) {
-          console.warn(`    Commit ${sha.substring(0, 8)} has ${files.length}+ files (may be truncated)`);
-        }
-        
-        // If total changes are very large, GitHub might not show individual file stats
-        if (stats.total > 50000) {
-          console.warn(`    Commit ${sha.substring(0, 8)} has ${stats.total} total changes (large commit)`);
+        // GitHub lists at most 300 files per response. When the listed files don't add up to
+        // the commit's total, fetch the remaining pages, then try the compare API.
+        if (this.countFileChanges(files) < (stats.total || 0)) {
+          console.warn(`    Commit ${sha.substring(0, 8)} lists ${files.length} files for ${stats.total} changes, fetching the full file list...`);
+          files = await this.fetchRemainingCommitFiles(owner, repo, sha, files, stats.total);
+          
+          const parents = response.data.parents || [];
+          if (this.countFileChanges(files) < stats.total && parents.length > 0) {
+            const compareFiles = await this.fetchCompareFiles(owner, repo, parents[0].sha, sha, stats.total);
+            if (this.countFileChanges(compareFiles) > this.countFileChanges(files)) {
+              files = compareFiles;
+            }
+          }
+          
+          recovered = this.countFileChanges(files) >= stats.total;
+          if (!recovered) {
+            console.warn(`    Commit ${sha.substring(0, 8)}: only ${this.countFileChanges(files)} of ${stats.total} changes could be listed (truncated)`);
+          }
         }
         
-        return {
+        const commitStats = {
           additions: stats.additions || 0,
           deletions: stats.deletions || 0,
           total: stats.total || 0,
-          files: files,
-          truncated: files.length >= 300 || stats.total > 50000
+          files: files.map(file => ({
+            filename: file.filename,
+            additions: file.additions || 0,
+            deletions: file.deletions || 0
+          })),
+          truncated: this.countFileChanges(files) < (stats.total || 0),
+          recovered: recovered
         };
+        
+        if (this.cache) {
+          await this.cache.set(cacheKey, commitStats);
+        }
+        
+        return commitStats;
       } catch (error) {
         if (error.status === 409 || error.status === 404) {
           // Commit might be a merge commit or deleted
@@ -295,319 +1462,2529 @@ class GitHubLOCCalculator {
         }
         
         console.warn(`    Retry ${attempt}/${maxRetries} for commit ${sha.substring(0, 8)}`);
-        await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+        await this.sleep(2000 * attempt);
       }
     }
   }
 
-  shouldIncludeFile(filename) {
-    // Enhanced filtering for large repositories
-    const excludePatterns = [
-      // Lock files
-      /package-lock\.json$/,
-      /yarn\.lock$/,
-      /pnpm-lock\.yaml$/,
-      /composer\.lock$/,
-      /Gemfile\.lock$/,
-      /poetry\.lock$/,
-      /Pipfile\.lock$/,
-      
-      // Minified files
-      /\.min\.(js|css)$/,
-      /\.bundle\.(js|css)$/,
-      
-      // Source maps
-      /\.map$/,
-      
-      // Build/dist directories
-      /^(dist|build|out|target|bin|obj)\//, 
-      /node_modules\//,
-      /vendor\//,
-      /__pycache__\//,
-      /\.pytest_cache\//,
-      
-      // Generated files
-      /\.generated\./,
-      /\.auto\./,
-      /^generated\//,
-      
-      // Documentation builds
-      /^docs\/_build\//,
-      /^site\//,
-      
-      // IDE files
-      /\.vscode\//,
-      /\.idea\//,
-      
-      // Large data files that shouldn't count as code
-      /\.(jpg|jpeg|png|gif|svg|ico|pdf|zip|tar|gz|rar|7z|exe|dmg)$/,
-      /\.(mp4|avi|mov|wmv|mp3|wav|ogg)$/,
-      
-      // Database files
-      /\.(db|sqlite|sqlite3)$/,
-      
-      // Log files
-      /\.(log|logs)$/,
-      /^logs\//
-    ];
-    
-    return !excludePatterns.some(pattern => pattern.test(filename));
+  countFileChanges(files) {
+    return files.reduce((sum, file) => sum + (file.additions || 0) + (file.deletions || 0), 0);
   }
 
-  async calculateLOCForYear(targetRepo = null) {
-    const since = new Date(`${this.year}-01-01T00:00:00Z`);
-    const until = new Date(`${this.year}-12-31T23:59:59Z`);
+  // Pages 2.. of a commit's file list (GitHub serves up to 3000 files, 300 per page)
+  async fetchRemainingCommitFiles(owner, repo, sha, firstPageFiles, expectedChanges) {
+    const files = [...firstPageFiles];
     
-    console.log(`Calculating lines of code for ${this.year}...`);
-    console.log(`Date range: ${since.toISOString()} to ${until.toISOString()}`);
-    console.log(`Rate limiting: max ${this.maxRequestsPerHour} requests/hour\n`);
-    
-    let repos = [];
-    let analysisMode = 'all';
-    
-    if (targetRepo) {
-      // Single repository mode
-      analysisMode = 'single';
-      console.log(`Single repository mode: ${targetRepo}`);
-      const repo = await this.getRepositoryByName(targetRepo);
-      if (!repo) {
-        throw new Error(`Repository '${targetRepo}' not found`);
-      }
-      repos = [repo];
-    } else {
-      // All repositories mode
-      console.log(`All repositories mode`);
-      repos = await this.getAllRepositories();
+    for (let page = 2; page <= 10 && this.countFileChanges(files) < expectedChanges; page++) {
+      const response = await this.octokit.rest.repos.getCommit({ owner, repo, ref: sha, per_page: 300, page });
+      const pageFiles = response.data.files || [];
+      if (pageFiles.length === 0) break;
+      files.push(...pageFiles);
     }
     
-    const results = {
-      totalAdditions: 0,
-      totalDeletions: 0,
-      netLines: 0,
-      totalCommits: 0,
-      repoStats: [],
-      fileTypeStats: {},
-      warnings: [],
-      processedAt: new Date().toISOString(),
-      runtimeStats: {
-        totalApiCalls: 0,
-        truncatedCommits: 0,
-        skippedCommits: 0
-      },
-      processingStatus: {
-        successful: 0,
-        failed: 0,
-        failedRepos: []
-      },
-      analysisMode: analysisMode
-    };
-    
-    console.log(`\nProcessing ${repos.length} repository${repos.length === 1 ? '' : 'ies'}...\n`);
+    return files;
+  }
+
+  async fetchCompareFiles(owner, repo, base, head, expectedChanges) {
+    const files = [];
     
-    for (let i = 0; i < repos.length; i++) {
-      const repo = repos[i];
-      const progress = ((i + 1) / repos.length * 100).toFixed(1);
-      console.log(`\n[${progress}%] Repository ${i + 1}/${repos.length}`);
-      
-      const result = await this.processRepository(repo, since, until);
-      
-      if (result.success) {
-        results.processingStatus.successful++;
-        results.totalAdditions += result.stats.additions;
-        results.totalDeletions += result.stats.deletions;
-        results.totalCommits += result.stats.commits;
-        results.runtimeStats.truncatedCommits += result.stats.truncatedCommits || 0;
-        
-        results.repoStats.push({
-          name: repo.full_name,
-          additions: result.stats.additions,
-          deletions: result.stats.deletions,
-          netLines: result.stats.netLines,
-          commits: result.stats.commits,
-          sizeKB: repo.size,
-          truncatedCommits: result.stats.truncatedCommits || 0
+    try {
+      for (let page = 1; page <= 10 && this.countFileChanges(files) < expectedChanges; page++) {
+        const response = await this.octokit.rest.repos.compareCommitsWithBasehead({
+          owner,
+          repo,
+          basehead: `${base}...${head}`,
+          per_page: 300,
+          page
         });
-      } else {
-        results.processingStatus.failed++;
-        results.processingStatus.failedRepos.push(repo.full_name);
-        console.error(`  ❌ Failed to process ${repo.full_name}: ${result.error}`);
+        const pageFiles = response.data.files || [];
+        if (pageFiles.length === 0) break;
+        files.push(...pageFiles);
       }
+    } catch (error) {
+      console.warn(`    Compare fallback failed for ${head.substring(0, 8)}: ${error.message}`);
     }
     
-    results.netLines = results.totalAdditions - results.totalDeletions;
-    results.runtimeStats.totalApiCalls = this.requestCount;
-    
-    // Summary
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`PROCESSING SUMMARY`);
-    console.log(`${'='.repeat(60)}`);
-    console.log(`Analysis mode: ${analysisMode}`);
-    console.log(`Total repositories: ${repos.length}`);
-    console.log(`Successfully processed: ${results.processingStatus.successful}`);
-    console.log(`Failed to process: ${results.processingStatus.failed}`);
-    
-    if (results.processingStatus.failed > 0) {
-      console.log(`\nFailed repositories:`);
-      results.processingStatus.failedRepos.forEach(repo => {
-        console.log(`  - ${repo}`);
+    return files;
+  }
+
+  isLocalMode() {
+    return Boolean(this.localPath || this.cloneRepos);
+  }
+
+  runGit(args, cwd, env = {}) {
+    return new Promise((resolve, reject) => {
+      execFile('git', args, { cwd, env: { ...process.env, ...env }, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+        } else {
+          resolve(stdout);
+        }
       });
-    }
-    
-    return results;
+    });
   }
 
-  async saveResults(results) {
-    // Create reports directory if it doesn't exist
-    const reportsDir = './reports';
+  // Builds a repository object shaped like the REST API's for an existing local or bare clone
+  async getLocalRepository(localPath) {
+    const repoPath = path.resolve(localPath);
+    await this.runGit(['rev-parse', '--git-dir'], repoPath);
+    
+    let fullName = null;
     try {
-      await fs.mkdir(reportsDir, { recursive: true });
-    } catch (error) {
-      if (error.code !== 'EEXIST') {
-        console.error('Error creating reports directory:', error.message);
+      const remote = (await this.runGit(['remote', 'get-url', 'origin'], repoPath)).trim();
+      const match = /github\.com[:/]([^/]+)\/(.+?)(\.git)?$/.exec(remote);
+      if (match) {
+        fullName = `${match[1]}/${match[2]}`;
       }
+    } catch (error) {
+      // No origin remote: fall back to the directory name
+    }
+    if (!fullName) {
+      fullName = `local/${path.basename(repoPath).replace(/\.git$/, '')}`;
     }
     
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `${reportsDir}/github-loc-${this.username}-${this.year}-${timestamp}.json`;
-    
-    await fs.writeFile(filename, JSON.stringify(results, null, 2));
-    console.log(`\nDetailed results saved to: ${filename}`);
-    
-    // Also save a summary file
-    const summaryFilename = `${reportsDir}/github-loc-summary-${this.username}-${this.year}-${timestamp}.txt`;
-    const summary = this.generateTextSummary(results);
-    await fs.writeFile(summaryFilename, summary);
-    console.log(`Summary saved to: ${summaryFilename}`);
+    let sizeKB = 0;
+    const objects = await this.runGit(['count-objects', '-v'], repoPath);
+    objects.split('\n').forEach(line => {
+      const [key, value] = line.split(': ');
+      if (key === 'size' || key === 'size-pack') {
+        sizeKB += parseInt(value, 10) || 0;
+      }
+    });
     
-    return { detailsFile: filename, summaryFile: summaryFilename };
+    const [owner, name] = fullName.split('/');
+    return { name, full_name: fullName, owner: { login: owner }, size: sizeKB, localPath: repoPath };
   }
 
-  generateTextSummary(results) {
-    let summary = `GitHub Lines of Code Analysis for ${this.username} (${this.year})\n`;
-    summary += '='.repeat(60) + '\n\n';
-    
-    summary += `Analysis Date: ${results.processedAt}\n`;
-    summary += `Analysis Mode: ${results.analysisMode === 'single' ? 'Single Repository' : 'All Repositories'}\n`;
-    summary += `Total API Calls Made: ${results.runtimeStats.totalApiCalls.toLocaleString()}\n\n`;
-    
-    summary += `OVERALL STATISTICS:\n`;
-    summary += `- Total Lines Added: ${results.totalAdditions.toLocaleString()}\n`;
-    summary += `- Total Lines Deleted: ${results.totalDeletions.toLocaleString()}\n`;
-    summary += `- Net Lines of Code: ${results.netLines.toLocaleString()}\n`;
-    summary += `- Total Commits: ${results.totalCommits.toLocaleString()}\n`;
-    summary += `- Repositories Analyzed: ${results.repoStats.length}\n\n`;
-    
-    // Processing status
-    if (results.processingStatus) {
-      summary += `PROCESSING STATUS:\n`;
-      summary += `- Successfully processed: ${results.processingStatus.successful} repositories\n`;
-      summary += `- Failed to process: ${results.processingStatus.failed} repositories\n\n`;
-      
-      if (results.processingStatus.failed > 0) {
-        summary += `FAILED REPOSITORIES:\n`;
-        results.processingStatus.failedRepos.forEach(repo => {
-          summary += `- ${repo}\n`;
-        });
-        summary += `\n`;
+  // Bare clone under cloneDir, fetched again on later runs. The token goes in a one-off header set
+  // through git's environment config, so it is neither saved in the clone nor visible in the process list.
+  async ensureClone(repo) {
+    const clonePath = path.resolve(this.cloneDir, `${repo.full_name}.git`);
+    const authEnv = this.token
+      ? {
+        GIT_CONFIG_COUNT: '1',
+        GIT_CONFIG_KEY_0: 'http.extraHeader',
+        GIT_CONFIG_VALUE_0: `Authorization: Basic ${Buffer.from(`x-access-token:${this.token}`).toString('base64')}`
       }
-    }
+      : {};
     
-    if (results.runtimeStats.truncatedCommits > 0) {
-      summary += `WARNINGS:\n`;
-      summary += `- ${results.runtimeStats.truncatedCommits} commits had truncated data due to size\n\n`;
+    let exists = true;
+    try {
+      await fs.access(clonePath);
+    } catch (error) {
+      exists = false;
     }
     
-    summary += `TOP 10 REPOSITORIES BY LINES ADDED:\n`;
-    const topRepos = results.repoStats
-      .sort((a, b) => b.additions - a.additions)
-      .slice(0, 10);
-    
-    topRepos.forEach((repo, index) => {
-      summary += `${index + 1}. ${repo.name}: +${repo.additions.toLocaleString()} lines (${repo.commits} commits)\n`;
-    });
+    if (exists) {
+      console.log(`  Updating clone ${clonePath}...`);
+      await this.runGit(['fetch', '--prune', 'origin', '+refs/heads/*:refs/heads/*'], clonePath, authEnv);
+    } else {
+      console.log(`  Cloning ${repo.full_name} into ${clonePath}...`);
+      await fs.mkdir(path.dirname(clonePath), { recursive: true });
+      const url = repo.clone_url || `https://github.com/${repo.full_name}.git`;
+      await this.runGit(['clone', '--bare', '--quiet', url, clonePath], process.cwd(), authEnv);
+    }
     
-    summary += `\nTOP 10 FILE TYPES BY LINES ADDED:\n`;
-    const topFileTypes = Object.entries(results.fileTypeStats)
-      .sort(([,a], [,b]) => b.additions - a.additions)
-      .slice(0, 10);
+    return clonePath;
+  }
+
+  // Local branches plus remote-tracking branches, filtered like --branches on the API
+  async getLocalRefs(repoPath) {
+    if (this.branches === 'default') {
+      return ['HEAD'];
+    }
     
-    topFileTypes.forEach(([ext, stats], index) => {
-      summary += `${index + 1}. .${ext}: +${stats.additions.toLocaleString()} lines\n`;
+    const matcher = this.branches === 'all' ? null : globToRegExp(`/${this.branches}`);
+    const output = await this.runGit(['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/remotes'], repoPath);
+    const refs = output.split('\n').filter(ref => {
+      const name = ref.replace(/^refs\/(heads|remotes\/[^/]+)\//, '');
+      return ref && name !== 'HEAD' && (!matcher || matcher.test(name));
     });
     
-    return summary;
+    console.log(`  Branches: ${refs.length > 0 ? refs.map(ref => ref.replace(/^refs\/(heads|remotes)\//, '')).join(', ') : `none matching ${this.branches}`}`);
+    return refs;
   }
 
-  printSummary(results) {
-    console.log('\n' + '='.repeat(60));
-    console.log(`GITHUB LINES OF CODE SUMMARY FOR ${this.year}`);
-    console.log('='.repeat(60));
+  // Yields git's stdout line by line; git is held back while the caller works on a line, and
+  // stopped if the caller stops early
+  async *iterateGitLines(args, cwd, input = null) {
+    const child = spawn('git', args, { cwd });
+    const lines = readline.createInterface({ input: child.stdout, crlfDelay: Infinity });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    const exited = new Promise((resolve, reject) => {
+      child.on('error', reject);
+      child.on('close', resolve);
+    });
     
-    // Analysis mode
-    if (results.analysisMode) {
-      console.log(`Analysis Mode: ${results.analysisMode === 'single' ? 'Single Repository' : 'All Repositories'}`);
+    if (input !== null) {
+      child.stdin.end(input);
     }
-    
-    console.log(`Total Lines Added: ${results.totalAdditions.toLocaleString()}`);
-    console.log(`Total Lines Deleted: ${results.totalDeletions.toLocaleString()}`);
-    console.log(`Net Lines of Code: ${results.netLines.toLocaleString()}`);
-    console.log(`Total Commits: ${results.totalCommits.toLocaleString()}`);
-    console.log(`Repositories Analyzed: ${results.repoStats.length}`);
-    console.log(`Total API Calls: ${results.runtimeStats.totalApiCalls.toLocaleString()}`);
-    
-    // Processing status
-    if (results.processingStatus) {
-      console.log(`\nProcessing Status:`);
-      console.log(`✅ Successfully processed: ${results.processingStatus.successful} repositories`);
-      console.log(`❌ Failed to process: ${results.processingStatus.failed} repositories`);
-      
-      if (results.processingStatus.failed > 0) {
-        console.log(`\nFailed repositories:`);
-        results.processingStatus.failedRepos.forEach(repo => {
-          console.log(`  - ${repo}`);
-        });
+    let finished = false;
+    try {
+      for await (const line of lines) {
+        yield line;
+      }
+      finished = true;
+    } finally {
+      if (!finished) {
+        child.kill();
+        exited.catch(() => {});
       }
     }
     
-    if (results.runtimeStats.truncatedCommits > 0) {
-      console.log(`\n⚠️  ${results.runtimeStats.truncatedCommits} commits had truncated data`);
+    const exitCode = await exited;
+    if (exitCode !== 0) {
+      throw new Error(`git ${args.find(arg => !arg.startsWith('-') && !arg.includes('='))} failed in ${cwd}: ${stderr.trim()}`);
+    }
+  }
+
+  // Runs git and hands each stdout line to onLine without buffering the whole output
+  async streamGitLines(args, cwd, onLine, input = null) {
+    for await (const line of this.iterateGitLines(args, cwd, input)) {
+      onLine(line);
+    }
+  }
+
+  // Reads the history of a local clone and yields API-shaped commit objects in batches of
+  // LOCAL_COMMIT_BATCH_SIZE while git log is still running, so memory stays flat however long
+  // the history is; each batch's per-file stats are served by getCommitStatsWithRetry.
+  async *iterateLocalCommitPages(owner, repo, since, until) {
+    const fullName = `${owner}/${repo}`;
+    const repoPath = this.localRepoPaths.get(fullName);
+    if (!repoPath) {
+      throw new Error(`No local clone for ${fullName}`);
     }
     
-    console.log('\nTop Repositories by Lines Added:');
-    const topRepos = results.repoStats
-      .sort((a, b) => b.additions - a.additions)
-      .slice(0, 10);
-    
-    topRepos.forEach((repo, index) => {
-      const sizeInfo = repo.sizeKB ? ` (${(repo.sizeKB / 1024).toFixed(1)} MB)` : '';
-      const truncatedInfo = repo.truncatedCommits > 0 ? ` ⚠️${repo.truncatedCommits} truncated` : '';
-      console.log(`${index + 1}. ${repo.name}: +${repo.additions.toLocaleString()} lines${sizeInfo}${truncatedInfo}`);
-    });
+    console.log(`  Reading git history of ${repoPath}...`);
     
-    console.log('\nTop File Types by Lines Added:');
-    const topFileTypes = Object.entries(results.fileTypeStats)
-      .sort(([,a], [,b]) => b.additions - a.additions)
-      .slice(0, 10);
+    // Pass 1: metadata only. The date filter is applied here rather than with --since,
+    // because git stops walking at the first commit older than --since.
+    const format = '--format=%H%x1f%an%x1f%ae%x1f%aI%x1f%cI%x1f%(trailers:key=Co-authored-by,valueonly,separator=%x1d)';
+    const refs = await this.getLocalRefs(repoPath);
+    if (refs.length === 0) {
+      return;
+    }
     
-    topFileTypes.forEach(([ext, stats], index) => {
-      console.log(`${index + 1}. .${ext}: +${stats.additions.toLocaleString()} lines`);
-    });
-  }
-}
-
-// Main execution function
-async function main() {
-  const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-  const GITHUB_USERNAME = process.env.GITHUB_USERNAME;
-  const ANALYSIS_YEAR = process.env.ANALYSIS_YEAR || '2025';
-  
-  // Parse command line arguments
-  const args = process.argv.slice(2);
-  const targetRepo = args[0] || null;
-  
-  if (!GITHUB_TOKEN || !GITHUB_USERNAME) {
-    console.error('❌ Missing required environment variables!');
-    console.error('');
+    let batch = [];
+    try {
+      for await (const line of this.iterateGitLines(['log', ...refs, format], repoPath)) {
+        const [sha, name, email, authorDate, committerDate, coAuthors] = line.split('\x1f');
+        const committedAt = new Date(committerDate);
+        if (committedAt < since || committedAt > until) {
+          continue;
+        }
+        
+        // Local commits carry no GitHub login, so authors are matched by name or email
+        const commit = {
+          sha,
+          author: null,
+          commit: {
+            author: { name, email, date: authorDate },
+            committer: { date: committerDate },
+            message: (coAuthors || '').split('\x1d').filter(Boolean).map(value => `Co-authored-by: ${value}`).join('\n')
+          }
+        };
+        if (this.matchCommit(commit).length === 0) {
+          continue;
+        }
+        
+        batch.push(commit);
+        if (batch.length === LOCAL_COMMIT_BATCH_SIZE) {
+          await this.readLocalCommitStats(owner, repo, repoPath, batch);
+          yield batch;
+          batch = [];
+        }
+      }
+      
+      if (batch.length > 0) {
+        await this.readLocalCommitStats(owner, repo, repoPath, batch);
+        yield batch;
+      }
+    } finally {
+      this.localCommitStats.clear();
+    }
+  }
+
+  // Pass 2: numstat of just one batch of matching commits, kept until the next batch
+  async readLocalCommitStats(owner, repo, repoPath, batch) {
+    const numstatArgs = [
+      '-c', 'core.quotePath=false',
+      'log', '--no-walk=unsorted', '--stdin',
+      // GitHub reports merge commits as their diff against the first parent
+      '--diff-merges=first-parent',
+      '--numstat',
+      '--format=%x1e%H'
+    ];
+    let current = null;
+    this.localCommitStats.clear();
+    
+    await this.streamGitLines(numstatArgs, repoPath, line => {
+      if (line.startsWith('\x1e')) {
+        current = { additions: 0, deletions: 0, total: 0, files: [], truncated: false };
+        this.localCommitStats.set(CommitStatsCache.key(owner, repo, line.substring(1)), current);
+      } else if (current && line.trim()) {
+        const [additions, deletions, ...fileParts] = line.split('\t');
+        // Binary files show "-" for both counts
+        const file = {
+          filename: parseNumstatPath(fileParts.join('\t')),
+          additions: parseInt(additions, 10) || 0,
+          deletions: parseInt(deletions, 10) || 0
+        };
+        current.files.push(file);
+        current.additions += file.additions;
+        current.deletions += file.deletions;
+        current.total += file.additions + file.deletions;
+      }
+    }, batch.map(commit => commit.sha).join('\n') + '\n');
+  }
+
+  shouldIncludeFile(filename, repoName = null) {
+    const rules = this.getFileRules(repoName);
+    if (rules.includeMatchers.length > 0 && !rules.includeMatchers.some(pattern => pattern.test(filename))) {
+      return false;
+    }
+    
+    return !rules.excludeMatchers.some(pattern => pattern.test(filename)) &&
+      !this.isLinguistExcluded(filename, repoName);
+  }
+
+  // Fetches .gitattributes at the analyzed ref (the default branch) once per repository
+  async loadGitAttributes(repo) {
+    if (!this.useGitAttributes || this.linguistAttributes.has(repo.full_name)) {
+      return;
+    }
+    
+    let content = '';
+    if (this.isLocalMode()) {
+      try {
+        content = await this.runGit(['show', 'HEAD:.gitattributes'], repo.localPath);
+      } catch (error) {
+        // No .gitattributes in HEAD
+      }
+    } else {
+      try {
+        const response = await this.octokit.rest.repos.getContent({
+          owner: repo.owner.login,
+          repo: repo.name,
+          path: '.gitattributes',
+          ...(repo.default_branch && { ref: repo.default_branch })
+        });
+        if (response.data.content) {
+          content = Buffer.from(response.data.content, response.data.encoding || 'base64').toString('utf8');
+        }
+      } catch (error) {
+        if (error.status !== 404) {
+          console.warn(`  Could not read .gitattributes of ${repo.full_name}: ${error.message}`);
+        }
+      }
+    }
+    
+    const rules = parseGitAttributes(content);
+    this.linguistAttributes.set(repo.full_name, rules);
+    if (rules.length > 0) {
+      console.log(`  .gitattributes: ${rules.length} linguist rule${rules.length === 1 ? '' : 's'}`);
+    }
+  }
+
+  isLinguistExcluded(filename, repoName) {
+    const rules = this.useGitAttributes && this.linguistAttributes.get(repoName);
+    if (!rules || rules.length === 0) {
+      return false;
+    }
+    
+    const markers = {};
+    rules.forEach(rule => {
+      if (rule.matcher.test(filename)) {
+        Object.assign(markers, rule.attributes);
+      }
+    });
+    
+    return Object.values(markers).some(Boolean);
+  }
+
+  getFileRules(repoName = null) {
+    const key = repoName || '';
+    if (!this.fileRules.has(key)) {
+      const rules = this.describeFileRules(repoName);
+      this.fileRules.set(key, {
+        ...rules,
+        includeMatchers: rules.include.map(globToRegExp),
+        excludeMatchers: rules.exclude.map(globToRegExp)
+      });
+    }
+    
+    return this.fileRules.get(key);
+  }
+
+  // Rework is a change to a file that the same author changed at most reworkDays before. Commits
+  // arrive newest first, so per file and author only the oldest change seen so far is kept: when
+  // an older change lands within the window, the kept one was rework
+  trackChurn(churn, filename, users, time, additions, deletions) {
+    if (!churn.files.has(filename)) {
+      churn.files.set(filename, { file: filename, additions: 0, deletions: 0, changes: 0, reworkChanges: 0 });
+    }
+    const fileChurn = churn.files.get(filename);
+    fileChurn.additions += additions;
+    fileChurn.deletions += deletions;
+    fileChurn.changes++;
+    
+    const change = { time, additions, deletions, rework: false };
+    users.forEach(user => {
+      const key = `${user}\0${filename}`;
+      const previous = churn.lastChanges.get(key);
+      if (!previous) {
+        churn.lastChanges.set(key, change);
+        return;
+      }
+      
+      // Branches can interleave histories, so order the pair by date rather than by arrival
+      const [earlier, later] = previous.time <= time ? [previous, change] : [change, previous];
+      if (!later.rework && later.time - earlier.time <= this.reworkDays * 24 * 60 * 60 * 1000) {
+        later.rework = true;
+        churn.reworkAdditions += later.additions;
+        churn.reworkDeletions += later.deletions;
+        fileChurn.reworkChanges++;
+      }
+      churn.lastChanges.set(key, earlier);
+    });
+  }
+
+  // Share of all changed lines (added plus deleted) that were rework, in percent
+  getChurnPercent(reworkAdditions, reworkDeletions, additions, deletions) {
+    const total = additions + deletions;
+    return total > 0 ? Math.round((reworkAdditions + reworkDeletions) / total * 1000) / 10 : 0;
+  }
+
+  // The repository's churn as recorded in repoStats, with its most reworked files
+  summarizeChurn(churn, additions, deletions) {
+    const files = [...churn.files.values()]
+      .filter(file => file.reworkChanges > 0)
+      .sort((a, b) => b.reworkChanges - a.reworkChanges || (b.additions + b.deletions) - (a.additions + a.deletions))
+      .slice(0, 5);
+    
+    return {
+      reworkAdditions: churn.reworkAdditions,
+      reworkDeletions: churn.reworkDeletions,
+      churnPercent: this.getChurnPercent(churn.reworkAdditions, churn.reworkDeletions, additions, deletions),
+      files
+    };
+  }
+
+  formatChurn(churn, reworkDays) {
+    return `${churn.churnPercent.toFixed(1)}% (+${churn.reworkAdditions.toLocaleString()} -${churn.reworkDeletions.toLocaleString()} lines reworked within ${reworkDays} days)`;
+  }
+
+  // Category of an included file: test, ci, docs, config or source
+  classifyFile(filename, repoName = null) {
+    const key = repoName || '';
+    if (!this.categoryRules.has(key)) {
+      const rules = this.describeCategoryRules(repoName);
+      this.categoryRules.set(key, Object.keys(rules).map(category => [category, rules[category].map(globToRegExp)]));
+    }
+    
+    const match = this.categoryRules.get(key).find(([, matchers]) => matchers.some(pattern => pattern.test(filename)));
+    return match ? match[0] : 'source';
+  }
+
+  // Built-in category globs, then the config file's, then the repository override's
+  describeCategoryRules(repoName = null) {
+    const rules = mergeCategoryRules(DEFAULT_CATEGORY_GLOBS, this.config.categories);
+    const override = repoName && this.findRepoOverride(repoName);
+    
+    return override ? mergeCategoryRules(rules, this.config.repos[override].categories) : rules;
+  }
+
+  // Lines added to tests per line added to source, or null without source changes
+  getTestToCodeRatio(categoryStats = {}) {
+    const source = categoryStats.source ? categoryStats.source.additions : 0;
+    const test = categoryStats.test ? categoryStats.test.additions : 0;
+    return source > 0 ? test / source : null;
+  }
+
+  // Categories in display order (source first), skipping empty ones
+  getCategoryEntries(categoryStats = {}) {
+    return Object.keys(CATEGORY_LABELS).filter(category => categoryStats[category]).map(category => [category, categoryStats[category]]);
+  }
+
+  // Built-in defaults, then the config file, then the repository's override
+  describeFileRules(repoName = null) {
+    const rules = mergeFileRules({ include: [], exclude: DEFAULT_EXCLUDE_GLOBS }, this.config);
+    const override = repoName && this.findRepoOverride(repoName);
+    
+    return override ? mergeFileRules(rules, this.config.repos[override]) : rules;
+  }
+
+  // Overrides are keyed by full name ("owner/repo") or bare repository name
+  findRepoOverride(repoName) {
+    const names = Object.keys(this.config.repos || {});
+    const shortName = repoName.split('/').pop().toLowerCase();
+    
+    return names.find(name => name.toLowerCase() === repoName.toLowerCase())
+      || names.find(name => name.toLowerCase() === shortName)
+      || null;
+  }
+
+  // The rule set recorded in the report
+  summarizeFileRules() {
+    const repos = {};
+    Object.keys(this.config.repos || {}).forEach(name => {
+      repos[name] = this.describeFileRules(name);
+    });
+    
+    return {
+      source: this.config.source,
+      defaults: !this.config.replace,
+      gitattributes: this.useGitAttributes,
+      ...this.describeFileRules(),
+      categories: this.describeCategoryRules(),
+      repos
+    };
+  }
+
+  formatFileRules(fileRules) {
+    const overrides = Object.keys(fileRules.repos);
+    return `${fileRules.source} (${fileRules.include.length} include, ${fileRules.exclude.length} exclude patterns` +
+      `${fileRules.defaults ? '' : ', built-in defaults replaced'}` +
+      `${fileRules.gitattributes === false ? ', .gitattributes ignored' : ''}` +
+      `${overrides.length > 0 ? `; overrides for ${overrides.join(', ')}` : ''})`;
+  }
+
+  getFileExtension(filename) {
+    const basename = filename.split('/').pop();
+    const dotIndex = basename.lastIndexOf('.');
+    
+    // Dotfiles (".eslintrc") and extensionless files have no extension
+    if (dotIndex <= 0 || dotIndex === basename.length - 1) {
+      return '(none)';
+    }
+    
+    return basename.substring(dotIndex + 1).toLowerCase();
+  }
+
+  getFileLanguage(filename) {
+    const basename = filename.split('/').pop().toLowerCase();
+    if (LANGUAGE_BY_FILENAME[basename]) {
+      return LANGUAGE_BY_FILENAME[basename];
+    }
+    
+    return LANGUAGE_BY_EXTENSION[this.getFileExtension(filename)] || 'Other';
+  }
+
+  addBreakdownEntry(breakdown, key, counts) {
+    if (!breakdown[key]) {
+      breakdown[key] = { additions: 0, deletions: 0, commits: 0, files: 0 };
+    }
+    
+    const entry = breakdown[key];
+    entry.additions += counts.additions || 0;
+    entry.deletions += counts.deletions || 0;
+    entry.commits += counts.commits || 0;
+    entry.files += counts.files || 0;
+  }
+
+  mergeBreakdown(target, source = {}) {
+    Object.entries(source).forEach(([key, counts]) => {
+      this.addBreakdownEntry(target, key, counts);
+    });
+  }
+
+  // The committer date, like the --since/--until filter, so a commit lands in the bucket of the period that counted it
+  getCommitDate(commit) {
+    const details = commit.commit || {};
+    const date = (details.committer && details.committer.date) || (details.author && details.author.date);
+    return date ? new Date(date) : null;
+  }
+
+  // Month ("2025-06") and ISO week ("2025-W23") of an instant, in the analysis time zone
+  getTimeBuckets(date) {
+    const localDate = formatDateInZone(date, this.period.timeZone);
+    return { month: localDate.substring(0, 7), week: getIsoWeek(localDate) };
+  }
+
+  addTimeSeriesEntry(timeSeries, date, additions, deletions, commits = 1) {
+    if (!date) {
+      return;
+    }
+    
+    const { month, week } = this.getTimeBuckets(date);
+    [[timeSeries.monthly, month], [timeSeries.weekly, week]].forEach(([series, key]) => {
+      if (!series[key]) {
+        series[key] = { additions: 0, deletions: 0, netLines: 0, commits: 0 };
+      }
+      series[key].additions += additions;
+      series[key].deletions += deletions;
+      series[key].netLines = series[key].additions - series[key].deletions;
+      series[key].commits += commits;
+    });
+  }
+
+  // Zero-filled buckets for every month and week of the analysis period
+  createEmptyTimeSeries() {
+    const timeSeries = { monthly: {}, weekly: {} };
+    const dayMs = 24 * 60 * 60 * 1000;
+    
+    for (let time = this.period.since.getTime(); time <= this.period.until.getTime(); time += dayMs) {
+      this.addTimeSeriesEntry(timeSeries, new Date(time), 0, 0, 0);
+    }
+    this.addTimeSeriesEntry(timeSeries, this.period.until, 0, 0, 0);
+    
+    return timeSeries;
+  }
+
+  mergeTimeSeries(target, source) {
+    if (!source) {
+      return;
+    }
+    
+    ['monthly', 'weekly'].forEach(interval => {
+      Object.entries(source[interval] || {}).forEach(([key, counts]) => {
+        if (!target[interval][key]) {
+          target[interval][key] = { additions: 0, deletions: 0, netLines: 0, commits: 0 };
+        }
+        const entry = target[interval][key];
+        entry.additions += counts.additions;
+        entry.deletions += counts.deletions;
+        entry.netLines = entry.additions - entry.deletions;
+        entry.commits += counts.commits;
+      });
+    });
+  }
+
+  // One '#' bar per month, scaled to the busiest month
+  formatMonthlyChart(monthly, width = 40) {
+    const months = Object.keys(monthly).sort();
+    const maxChanged = Math.max(1, ...months.map(month => monthly[month].additions + monthly[month].deletions));
+    
+    return months.map(month => {
+      const stats = monthly[month];
+      const changed = stats.additions + stats.deletions;
+      const bar = '#'.repeat(Math.round(changed / maxChanged * width)).padEnd(width, '.');
+      return `${month} |${bar}| +${stats.additions.toLocaleString()} -${stats.deletions.toLocaleString()} (${stats.commits} commits)`;
+    });
+  }
+
+  describeAnalysisMode(analysisMode) {
+    const descriptions = {
+      single: 'Single Repository',
+      local: 'Local Repository'
+    };
+    return descriptions[analysisMode] || 'All Repositories';
+  }
+
+  // Repositories ordered by lines added, without reordering results.repoStats itself
+  getTopRepositories(results, limit = 10) {
+    return [...results.repoStats]
+      .sort((a, b) => b.additions - a.additions)
+      .slice(0, limit);
+  }
+
+  // [key, stats] pairs of a breakdown (file types, languages) ordered by lines added
+  getTopEntries(breakdown = {}, limit = 10) {
+    return Object.entries(breakdown)
+      .sort(([, a], [, b]) => b.additions - a.additions)
+      .slice(0, limit);
+  }
+
+  formatFileType(extension) {
+    return extension.startsWith('(') ? extension : `.${extension}`;
+  }
+
+  async calculateLOCForYear(targetRepo = null) {
+    const { since, until } = this.period;
+    
+    console.log(`Calculating lines of code for ${this.period.label}...`);
+    if (this.isMultiUser()) {
+      console.log(`Users: ${this.users.join(', ')}`);
+    }
+    console.log(`Date range: ${since.toISOString()} to ${until.toISOString()}${this.period.timeZone !== 'UTC' ? ` (${this.period.timeZone} boundaries)` : ''}`);
+    console.log(`Rate limiting: following GitHub's x-ratelimit headers`);
+    console.log(`Concurrency: ${this.concurrency} commit request${this.concurrency === 1 ? '' : 's'} in flight\n`);
+    
+    const { repos, analysisMode, listedCount } = await this.selectRepositories(targetRepo);
+    
+    let results = this.createEmptyResults(analysisMode);
+    let completedRepos = new Set();
+    
+    if (this.resumeFrom) {
+      const checkpoint = await this.loadCheckpoint(this.resumeFrom);
+      results = checkpoint.results;
+      completedRepos = new Set(checkpoint.completedRepos);
+      this.seenCommits = checkpoint.seenCommits;
+      
+      if (this.retryFailed) {
+        results.processingStatus.failedRepos.forEach(repoName => completedRepos.delete(repoName));
+        console.log(`Retrying ${results.processingStatus.failed} previously failed repositories`);
+        results.processingStatus.failed = 0;
+        results.processingStatus.failedRepos = [];
+      }
+      
+      console.log(`Resuming from ${this.resumeFrom}: ${completedRepos.size} repositories already finished`);
+    }
+    
+    // API calls and cache hits from the interrupted run are carried over
+    const previousApiCalls = results.runtimeStats.totalApiCalls;
+    const previousCacheHits = results.runtimeStats.cachedCommits || 0;
+    const previousWaitMs = results.runtimeStats.rateLimitWaitMs || 0;
+    const pendingRepos = repos.filter(repo => !completedRepos.has(repo.full_name));
+    results.forks = repos.filter(repo => repo.fork).map(repo => repo.full_name);
+    results.repoSelection = { filter: this.repoFilter, listed: listedCount, selected: repos.length };
+    
+    console.log(`\nProcessing ${pendingRepos.length} repositor${pendingRepos.length === 1 ? 'y' : 'ies'}...\n`);
+    
+    for (let i = 0; i < pendingRepos.length; i++) {
+      const repo = pendingRepos[i];
+      const progress = ((i + 1) / pendingRepos.length * 100).toFixed(1);
+      console.log(`\n[${progress}%] Repository ${i + 1}/${pendingRepos.length}`);
+      
+      const result = await this.processRepository(repo, since, until);
+      
+      if (result.success) {
+        this.addRepositoryResult(results, repo, result.stats);
+      } else {
+        results.processingStatus.failed++;
+        results.processingStatus.failedRepos.push(repo.full_name);
+        console.error(`  ❌ Failed to process ${repo.full_name}: ${result.error}`);
+      }
+      
+      completedRepos.add(repo.full_name);
+      results.netLines = results.totalAdditions - results.totalDeletions;
+      results.runtimeStats.totalApiCalls = previousApiCalls + this.requestCount;
+      results.runtimeStats.cachedCommits = previousCacheHits + this.cacheHits;
+      results.runtimeStats.rateLimitWaitMs = previousWaitMs + this.rateLimitWaitMs;
+      await this.saveCheckpoint(results, completedRepos, repo.full_name);
+    }
+    
+    results.netLines = results.totalAdditions - results.totalDeletions;
+    results.runtimeStats.totalApiCalls = previousApiCalls + this.requestCount;
+    results.runtimeStats.cachedCommits = previousCacheHits + this.cacheHits;
+    results.runtimeStats.rateLimitWaitMs = previousWaitMs + this.rateLimitWaitMs;
+    this.addTeamStats(results);
+    
+    // Summary
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`PROCESSING SUMMARY`);
+    console.log(`${'='.repeat(60)}`);
+    console.log(`Analysis mode: ${analysisMode}`);
+    console.log(`Total repositories: ${repos.length}`);
+    console.log(`Successfully processed: ${results.processingStatus.successful}`);
+    console.log(`Failed to process: ${results.processingStatus.failed}`);
+    if (this.cache) {
+      console.log(`Commit stats served from cache: ${this.cacheHits}`);
+    }
+    if (this.rateLimitWaitMs > 0) {
+      console.log(`Time spent waiting on rate limits: ${(this.rateLimitWaitMs / 1000).toFixed(0)}s`);
+    }
+    
+    if (results.processingStatus.failed > 0) {
+      console.log(`\nFailed repositories:`);
+      results.processingStatus.failedRepos.forEach(repo => {
+        console.log(`  - ${repo}`);
+      });
+    }
+    
+    return results;
+  }
+
+  addTeamStats(results) {
+    if (this.isMultiUser()) {
+      results.teamStats = {
+        members: this.users.length,
+        totalAdditions: results.totalAdditions,
+        totalDeletions: results.totalDeletions,
+        netLines: results.netLines,
+        totalCommits: results.totalCommits
+      };
+    }
+  }
+
+  // `merge`: combines the JSON reports of partial runs over the same period and users into one.
+  // inputs are { file, report } pairs; a repository found in several reports is taken from the
+  // most recently processed one, and totals and breakdowns are added up again from the kept repositories
+  mergeReports(inputs) {
+    checkMergeable(inputs);
+    const [first] = inputs;
+    
+    const results = this.createEmptyResults(first.report.analysisMode || 'all');
+    ['fileRules', 'coAuthors', 'branches'].forEach(key => {
+      if (first.report[key] !== undefined) results[key] = first.report[key];
+    });
+    if (first.report.churn) {
+      results.churn.reworkDays = first.report.churn.reworkDays;
+    }
+    
+    // Newest first, so a repository retried in a later run replaces its earlier attempt
+    const newestFirst = [...inputs].sort((a, b) => String(b.report.processedAt || '').localeCompare(String(a.report.processedAt || '')));
+    const kept = new Map();
+    const duplicateRepos = new Set();
+    newestFirst.forEach(input => input.report.repoStats.forEach(stats => {
+      if (kept.has(stats.name)) {
+        duplicateRepos.add(stats.name);
+      } else {
+        kept.set(stats.name, { stats, input });
+      }
+    }));
+    const isKept = (input, stats) => kept.get(stats.name).input === input;
+    
+    const incomplete = [];
+    inputs.forEach(input => {
+      const { file, report } = input;
+      const keptStats = report.repoStats.filter(stats => isKept(input, stats));
+      
+      // Reports written before author matches and per-user breakdowns were kept per repository
+      // only have report-wide ones, usable when none of the report's repositories was replaced
+      if (report.repoStats.some(stats => !stats.authorMatches)) {
+        if (keptStats.length === report.repoStats.length) {
+          Object.entries(report.authorMatches || {}).forEach(([method, count]) => {
+            results.authorMatches[method] = (results.authorMatches[method] || 0) + count;
+          });
+          Object.entries(report.userStats || {}).forEach(([user, userTotals]) => {
+            if (results.userStats && results.userStats[user]) {
+              this.mergeBreakdown(results.userStats[user].fileTypeStats, userTotals.fileTypeStats);
+              this.mergeBreakdown(results.userStats[user].languageStats, userTotals.languageStats);
+            }
+          });
+        } else if (keptStats.length > 0) {
+          incomplete.push(file);
+        }
+      }
+      
+      keptStats.forEach(stats => {
+        const userStats = {};
+        Object.entries(report.userStats || {}).forEach(([user, userTotals]) => {
+          const userRepoStats = (userTotals.repoStats || []).find(entry => entry.name === stats.name);
+          if (userRepoStats && results.userStats && results.userStats[user]) {
+            userStats[user] = userRepoStats;
+          }
+        });
+        this.addRepositoryResult(results, { full_name: stats.name, size: stats.sizeKB }, { ...stats, userStats });
+      });
+    });
+    
+    inputs.forEach(({ report }) => {
+      // Run costs were all spent, so they add up across reports
+      ['totalApiCalls', 'cachedCommits', 'rateLimitWaitMs', 'skippedCommits'].forEach(key => {
+        results.runtimeStats[key] += (report.runtimeStats && report.runtimeStats[key]) || 0;
+      });
+      
+      ((report.processingStatus && report.processingStatus.failedRepos) || []).forEach(repoName => {
+        if (!kept.has(repoName) && !results.processingStatus.failedRepos.includes(repoName)) {
+          results.processingStatus.failedRepos.push(repoName);
+        }
+      });
+      (report.forks || []).forEach(fork => {
+        if (!results.forks.includes(fork)) results.forks.push(fork);
+      });
+      (report.warnings || []).forEach(warning => {
+        const message = this.formatWarning(warning);
+        if (!results.warnings.some(existing => this.formatWarning(existing) === message)) {
+          results.warnings.push(warning);
+        }
+      });
+    });
+    
+    results.processingStatus.failed = results.processingStatus.failedRepos.length;
+    results.netLines = results.totalAdditions - results.totalDeletions;
+    results.mergedFrom = inputs.map(({ file, report }) => ({
+      file,
+      processedAt: report.processedAt || null,
+      repositories: report.repoStats.length
+    }));
+    results.duplicateRepos = [...duplicateRepos];
+    incomplete.forEach(file => results.warnings.push({
+      type: 'merge-breakdowns',
+      message: `${file} predates per-repository author matches and per-user breakdowns; they were left out because some of its repositories were replaced`
+    }));
+    this.addTeamStats(results);
+    
+    return results;
+  }
+
+  // The repositories a run covers, in processing order, and how they were chosen
+  async selectRepositories(targetRepo = null) {
+    let repos = [];
+    let analysisMode = 'all';
+    
+    if (this.localPath) {
+      // Local clone mode: no repository listing, no API calls
+      analysisMode = 'local';
+      console.log(`Local repository mode: ${this.localPath}`);
+      repos = [await this.getLocalRepository(this.localPath)];
+    } else if (targetRepo) {
+      // Single repository mode
+      analysisMode = 'single';
+      console.log(`Single repository mode: ${targetRepo}`);
+      const repo = await this.getRepositoryByName(targetRepo);
+      if (!repo) {
+        throw new Error(`Repository '${targetRepo}' not found`);
+      }
+      repos = [repo];
+    } else {
+      // All repositories mode
+      console.log(this.org ? `All repositories mode (organization: ${this.org})` : `All repositories mode`);
+      repos = await this.getAllRepositories();
+    }
+    
+    const listedCount = repos.length;
+    if (analysisMode === 'all') {
+      repos = this.filterRepositories(repos);
+      if (repos.length !== listedCount) {
+        console.log(`Repository filters selected ${repos.length} of ${listedCount} repositories`);
+      }
+    }
+    
+    // Upstreams first, so commits shared with a fork are counted in the upstream
+    repos = [...repos.filter(repo => !repo.fork), ...repos.filter(repo => repo.fork)];
+    
+    return { repos, analysisMode, listedCount };
+  }
+
+  // --dry-run: lists the commits a run would analyze, without fetching their details, and
+  // estimates the API calls and time the real run needs under the current rate limit
+  async estimateRun(targetRepo = null) {
+    const startTime = Date.now();
+    const { since, until } = this.period;
+    console.log(`Estimating the cost of analyzing ${this.period.label} (dry run)...`);
+    
+    const { repos, analysisMode } = await this.selectRepositories(targetRepo);
+    const seenCommits = new Set();
+    const repositories = [];
+    
+    for (const repo of repos) {
+      const callsBefore = this.requestCount;
+      const estimate = { repo: repo.full_name, commits: 0, cachedCommits: 0, listingCalls: 0, detailCalls: 0, apiCalls: 0 };
+      
+      try {
+        const repoShas = new Set();
+        for await (const commits of this.iterateCommitPages(repo.owner.login, repo.name, since, until)) {
+          for (const commit of commits) {
+            if (repoShas.has(commit.sha) || seenCommits.has(commit.sha)) continue;
+            // Like processRepository, the limit only counts as reached when a commit lies beyond it,
+            // which may take one more listing page to find out
+            if (this.maxCommits !== null && estimate.commits >= this.maxCommits) {
+              estimate.commitLimitReached = true;
+              break;
+            }
+            repoShas.add(commit.sha);
+            
+            const cached = this.cache && await this.cache.get(CommitStatsCache.key(repo.owner.login, repo.name, commit.sha));
+            if (cached && !cached.truncated) {
+              estimate.cachedCommits++;
+            }
+            estimate.commits++;
+          }
+          if (estimate.commitLimitReached) break;
+        }
+        repoShas.forEach(sha => seenCommits.add(sha));
+      } catch (error) {
+        console.error(`  ❌ Could not list commits of ${repo.full_name}: ${error.message}`);
+        estimate.error = error.message;
+      }
+      
+      // The real run lists the commits again and reads .gitattributes once; every commit
+      // not in the cache costs at least one getCommit call
+      estimate.listingCalls = this.requestCount - callsBefore + (this.useGitAttributes ? 1 : 0);
+      estimate.detailCalls = estimate.commits - estimate.cachedCommits;
+      estimate.apiCalls = estimate.listingCalls + estimate.detailCalls;
+      repositories.push(estimate);
+    }
+    
+    const totals = { repositories: repositories.length, commits: 0, cachedCommits: 0, listingCalls: 0, detailCalls: 0, apiCalls: 0 };
+    repositories.forEach(estimate => {
+      ['commits', 'cachedCommits', 'listingCalls', 'detailCalls', 'apiCalls'].forEach(key => {
+        totals[key] += estimate[key];
+      });
+    });
+    
+    // Request latency as measured during the dry run; commit details are fetched --concurrency at a time
+    const averageRequestMs = this.requestCount > 0 ? Math.round((Date.now() - startTime) / this.requestCount) : 0;
+    const waitMs = this.estimateRateLimitWait(totals.apiCalls);
+    const requestMs = averageRequestMs * (totals.listingCalls + totals.detailCalls / this.concurrency);
+    
+    return {
+      dryRun: true,
+      analysisMode: analysisMode,
+      period: {
+        label: this.period.label,
+        since: since.toISOString(),
+        until: until.toISOString(),
+        timeZone: this.period.timeZone
+      },
+      users: this.users,
+      repositories: repositories,
+      totals: totals,
+      rateLimit: this.rateLimit,
+      dryRunApiCalls: this.requestCount,
+      averageRequestMs: averageRequestMs,
+      estimatedWaitMs: waitMs,
+      estimatedDurationMs: Math.round(requestMs + waitMs)
+    };
+  }
+
+  // Time spent waiting for rate-limit resets when `calls` requests are made from the current
+  // budget; the core limit refills every hour
+  estimateRateLimitWait(calls) {
+    if (!this.rateLimit || calls <= this.rateLimit.remaining) {
+      return 0;
+    }
+    
+    const resets = Math.ceil((calls - this.rateLimit.remaining) / this.rateLimit.limit);
+    return Math.max(this.rateLimit.reset - Date.now(), 0) + (resets - 1) * 60 * 60 * 1000;
+  }
+
+  printEstimate(estimate) {
+    const nameWidth = Math.max(10, ...estimate.repositories.map(entry => entry.repo.length));
+    const row = (name, values) => `${name.padEnd(nameWidth)}  ${values.map(value => String(value).padStart(9)).join('  ')}`;
+    const columns = entry => [
+      entry.commits.toLocaleString(),
+      entry.cachedCommits.toLocaleString(),
+      entry.listingCalls.toLocaleString(),
+      entry.detailCalls.toLocaleString(),
+      entry.apiCalls.toLocaleString()
+    ];
+    
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`DRY RUN: ${this.getReportLabel()} (${estimate.period.label})`);
+    console.log(`${'='.repeat(60)}`);
+    console.log(row('Repository', ['Commits', 'Cached', 'Listing', 'Details', 'API calls']));
+    console.log('-'.repeat(nameWidth + 55));
+    estimate.repositories.forEach(entry => {
+      const note = entry.error ? `  ❌ ${entry.error}` : entry.commitLimitReached ? '  (--max-commits)' : '';
+      console.log(row(entry.repo, columns(entry)) + note);
+    });
+    console.log('-'.repeat(nameWidth + 55));
+    console.log(row(`Total (${estimate.totals.repositories})`, columns(estimate.totals)));
+    
+    console.log('');
+    if (estimate.rateLimit) {
+      console.log(`Rate limit: ${estimate.rateLimit.remaining.toLocaleString()} of ${estimate.rateLimit.limit.toLocaleString()} requests left, resets at ${new Date(estimate.rateLimit.reset).toLocaleTimeString()}`);
+    } else {
+      console.log(`Rate limit: unknown (no API responses reported one)`);
+    }
+    console.log(`Estimated API calls: ${estimate.totals.apiCalls.toLocaleString()} (at least; commits with more than 300 files take extra calls)`);
+    console.log(`Estimated time: ${formatDuration(estimate.estimatedDurationMs)}` +
+      (estimate.estimatedWaitMs > 0 ? `, of which ${formatDuration(estimate.estimatedWaitMs)} waiting for rate-limit resets` : ''));
+    console.log(`Dry run used ${estimate.dryRunApiCalls.toLocaleString()} API calls; no commit details were fetched.`);
+  }
+
+  createEmptyResults(analysisMode = 'all') {
+    const results = {
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      totalAdditions: 0,
+      totalDeletions: 0,
+      netLines: 0,
+      totalCommits: 0,
+      repoStats: [],
+      fileTypeStats: {},
+      languageStats: {},
+      // Lines per file category (source, test, docs, config, ci)
+      categoryStats: {},
+      // Lines changed again by the same author within reworkDays
+      churn: { reworkDays: this.reworkDays, reworkAdditions: 0, reworkDeletions: 0, churnPercent: 0 },
+      timeSeries: this.createEmptyTimeSeries(),
+      warnings: [],
+      processedAt: new Date().toISOString(),
+      runtimeStats: {
+        totalApiCalls: 0,
+        truncatedCommits: 0,
+        recoveredCommits: 0,
+        skippedCommits: 0,
+        cachedCommits: 0,
+        duplicateCommits: 0,
+        rateLimitWaitMs: 0
+      },
+      processingStatus: {
+        successful: 0,
+        failed: 0,
+        failedRepos: []
+      },
+      analysisMode: analysisMode,
+      period: {
+        label: this.period.label,
+        since: this.period.since.toISOString(),
+        until: this.period.until.toISOString(),
+        timeZone: this.period.timeZone
+      },
+      org: this.org,
+      users: this.users,
+      fileRules: this.summarizeFileRules(),
+      coAuthors: this.coAuthors,
+      branches: this.branches,
+      // Repositories that are forks; they are processed after the others so shared
+      // history is credited to the upstream
+      forks: [],
+      // Commits credited per match method (login, alias, email, name, coAuthor)
+      authorMatches: {}
+    };
+    
+    if (this.isMultiUser()) {
+      results.userStats = {};
+      this.users.forEach(user => {
+        results.userStats[user] = {
+          totalAdditions: 0,
+          totalDeletions: 0,
+          netLines: 0,
+          totalCommits: 0,
+          fileTypeStats: {},
+          languageStats: {},
+          repoStats: []
+        };
+      });
+    }
+    
+    return results;
+  }
+
+  formatPeriodRange(period = this.period) {
+    const since = new Date(period.since);
+    const until = new Date(period.until);
+    return `${formatDateInZone(since, period.timeZone)} to ${formatDateInZone(until, period.timeZone)} (${period.timeZone})`;
+  }
+
+  // Written after every repository so an interrupted run can be resumed with --resume
+  // Seen commits live in a JSON-lines file next to the checkpoint, one { repo, commits } record per
+  // repository, so each save appends only the commits of the repository just finished. The first
+  // save of a run rewrites it, starting with the commits carried over (repo null)
+  async saveCheckpoint(results, completedRepos, repoName = null) {
+    if (!this.useCheckpoint) {
+      return;
+    }
+    const checkpoint = {
+      label: this.getReportLabel(),
+      period: this.period.label,
+      updatedAt: new Date().toISOString(),
+      settings: this.getCheckpointSettings(),
+      completedRepos: [...completedRepos],
+      results: results
+    };
+    const tempFile = `${this.checkpointFile}.tmp`;
+    const commitsFile = checkpointCommitsFile(this.checkpointFile);
+    const newCommits = this.uncheckpointedCommits.splice(0);
+    const record = JSON.stringify({ repo: repoName, commits: newCommits }) + '\n';
+    
+    try {
+      await fs.mkdir(path.dirname(this.checkpointFile), { recursive: true });
+      if (this.checkpointCommitsStarted) {
+        await fs.appendFile(commitsFile, record);
+      } else {
+        const added = new Set(newCommits);
+        const carried = [...this.seenCommits].filter(sha => !added.has(sha));
+        await fs.writeFile(`${commitsFile}.tmp`, JSON.stringify({ repo: null, commits: carried }) + '\n' + record);
+        await fs.rename(`${commitsFile}.tmp`, commitsFile);
+        this.checkpointCommitsStarted = true;
+      }
+      // Write then rename so a crash mid-write never leaves a corrupt checkpoint behind
+      await fs.writeFile(tempFile, JSON.stringify(checkpoint));
+      await fs.rename(tempFile, this.checkpointFile);
+    } catch (error) {
+      // Start the commits file over on the next save rather than leave a gap in it
+      this.checkpointCommitsStarted = false;
+      console.warn(`  Warning: could not write checkpoint ${this.checkpointFile}: ${error.message}`);
+    }
+  }
+
+  // Once a run without failures has written its report there is nothing left to resume
+  async removeCheckpoint() {
+    await Promise.all([this.checkpointFile, checkpointCommitsFile(this.checkpointFile)]
+      .map(file => fs.rm(file, { force: true })));
+  }
+
+  // What decides how commits are counted; resuming under other settings would mix results
+  getCheckpointSettings() {
+    return {
+      users: this.users,
+      branches: this.branches,
+      coAuthors: this.coAuthors,
+      fileRules: this.summarizeFileRules()
+    };
+  }
+
+  async loadCheckpoint(checkpointFile) {
+    let checkpoint;
+    try {
+      checkpoint = JSON.parse(await fs.readFile(checkpointFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read checkpoint '${checkpointFile}': ${error.message}`);
+    }
+    
+    if (!checkpoint.results || !Array.isArray(checkpoint.completedRepos)) {
+      throw new Error(`Checkpoint '${checkpointFile}' is not a valid checkpoint file`);
+    }
+    
+    if (checkpoint.label !== this.getReportLabel() || checkpoint.period !== this.period.label) {
+      throw new Error(`Checkpoint '${checkpointFile}' was created for ${checkpoint.label} (${checkpoint.period}), not ${this.getReportLabel()} (${this.period.label})`);
+    }
+    
+    // Results counted under other settings can't be continued; older checkpoints only have them in results
+    const saved = checkpoint.settings || checkpoint.results;
+    const current = this.getCheckpointSettings();
+    const checks = [
+      ['users', users => users.map(user => user.toLowerCase()).sort(), users => `users ${users.join(', ')}`],
+      ['branches', branches => branches, branches => `--branches ${branches}`],
+      ['coAuthors', coAuthors => coAuthors, coAuthors => `--co-authors ${coAuthors}`],
+      // The same rules loaded from another file are still the same rules
+      ['fileRules', ({ source, ...rules }) => rules, rules => `the file rules of ${rules.source}`]
+    ];
+    checks.forEach(([key, normalize, describe]) => {
+      if (saved[key] !== undefined && JSON.stringify(normalize(saved[key])) !== JSON.stringify(normalize(current[key]))) {
+        throw new Error(`Checkpoint '${checkpointFile}' was created with ${describe(saved[key])}, not ${describe(current[key])}; start a new run instead of resuming`);
+      }
+    });
+    
+    // Older checkpoints kept seenCommits inline. Records of a repository that never made it into
+    // completedRepos (a crash between the two writes) are dropped, as that repository runs again
+    const seenCommits = new Set(checkpoint.seenCommits || []);
+    const completedRepos = new Set(checkpoint.completedRepos);
+    let content = '';
+    try {
+      content = await fs.readFile(checkpointCommitsFile(checkpointFile), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Cannot read checkpoint '${checkpointFile}': ${error.message}`);
+      }
+    }
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        if (record.repo === null || completedRepos.has(record.repo)) {
+          record.commits.forEach(sha => seenCommits.add(sha));
+        }
+      } catch (error) {
+        // A partially written last line belongs to a repository that is not in completedRepos yet
+      }
+    }
+    checkpoint.seenCommits = seenCommits;
+    
+    return checkpoint;
+  }
+
+  addRepositoryResult(results, repo, stats) {
+    results.processingStatus.successful++;
+    results.totalAdditions += stats.additions;
+    results.totalDeletions += stats.deletions;
+    results.totalCommits += stats.commits;
+    results.runtimeStats.truncatedCommits += stats.truncatedCommits || 0;
+    results.runtimeStats.recoveredCommits = (results.runtimeStats.recoveredCommits || 0) + (stats.recoveredCommits || 0);
+    results.runtimeStats.duplicateCommits = (results.runtimeStats.duplicateCommits || 0) + (stats.duplicateCommits || 0);
+    this.mergeBreakdown(results.fileTypeStats, stats.fileTypeStats);
+    this.mergeBreakdown(results.languageStats, stats.languageStats);
+    results.categoryStats = results.categoryStats || {};
+    this.mergeBreakdown(results.categoryStats, stats.categoryStats);
+    if (stats.churn) {
+      results.churn = results.churn || { reworkDays: this.reworkDays, reworkAdditions: 0, reworkDeletions: 0, churnPercent: 0 };
+      results.churn.reworkAdditions += stats.churn.reworkAdditions;
+      results.churn.reworkDeletions += stats.churn.reworkDeletions;
+      results.churn.churnPercent = this.getChurnPercent(results.churn.reworkAdditions, results.churn.reworkDeletions, results.totalAdditions, results.totalDeletions);
+    }
+    this.mergeTimeSeries(results.timeSeries, stats.timeSeries);
+    results.authorMatches = results.authorMatches || {};
+    Object.entries(stats.authorMatches || {}).forEach(([method, count]) => {
+      results.authorMatches[method] = (results.authorMatches[method] || 0) + count;
+    });
+    
+    results.repoStats.push({
+      name: repo.full_name,
+      additions: stats.additions,
+      deletions: stats.deletions,
+      netLines: stats.netLines,
+      commits: stats.commits,
+      sizeKB: repo.size,
+      truncatedCommits: stats.truncatedCommits || 0,
+      recoveredCommits: stats.recoveredCommits || 0,
+      duplicateCommits: stats.duplicateCommits || 0,
+      fileTypeStats: stats.fileTypeStats || {},
+      languageStats: stats.languageStats || {},
+      categoryStats: stats.categoryStats || {},
+      authorMatches: stats.authorMatches || {},
+      ...(stats.churn && { churn: stats.churn }),
+      timeSeries: stats.timeSeries || { monthly: {}, weekly: {} }
+    });
+    
+    if (stats.commitLimitReached) {
+      results.warnings.push({
+        type: 'commit-limit',
+        repo: repo.full_name,
+        limit: this.maxCommits,
+        message: `${repo.full_name} was cut short after ${this.maxCommits} commits (--max-commits)`
+      });
+    }
+    
+    Object.entries(stats.userStats || {}).forEach(([user, userRepoStats]) => {
+      const userTotals = results.userStats[user];
+      userTotals.totalAdditions += userRepoStats.additions;
+      userTotals.totalDeletions += userRepoStats.deletions;
+      userTotals.netLines = userTotals.totalAdditions - userTotals.totalDeletions;
+      userTotals.totalCommits += userRepoStats.commits;
+      this.mergeBreakdown(userTotals.fileTypeStats, userRepoStats.fileTypeStats);
+      this.mergeBreakdown(userTotals.languageStats, userRepoStats.languageStats);
+      userTotals.repoStats.push({
+        name: repo.full_name,
+        additions: userRepoStats.additions,
+        deletions: userRepoStats.deletions,
+        netLines: userRepoStats.netLines,
+        commits: userRepoStats.commits,
+        fileTypeStats: userRepoStats.fileTypeStats || {},
+        languageStats: userRepoStats.languageStats || {}
+      });
+    });
+  }
+
+  async saveResults(results) {
+    // Create reports directory if it doesn't exist
+    const reportsDir = this.outputDir;
+    try {
+      await fs.mkdir(reportsDir, { recursive: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        console.error('Error creating reports directory:', error.message);
+      }
+    }
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const files = {};
+    
+    for (const format of this.formats) {
+      const formatter = REPORT_FORMATTERS[format];
+      const filename = `${reportsDir}/${formatter.prefix}-${this.getReportLabel()}-${this.period.label}-${timestamp}.${formatter.extension}`;
+      await fs.writeFile(filename, formatter.render(this, results));
+      console.log(`${formatter.description} saved to: ${filename}`);
+      files[format] = filename;
+    }
+    
+    return files;
+  }
+
+  formatAuthorMatches(authorMatches) {
+    const labels = { login: 'GitHub login', alias: 'Alternate login', email: 'Email address', name: 'Git author name', coAuthor: 'Co-authored-by trailer' };
+    return Object.entries(authorMatches).map(([method, count]) => `${labels[method] || method}: ${count.toLocaleString()}`);
+  }
+
+  // Entries in results.warnings are objects with a message; older reports may hold plain strings
+  formatWarning(warning) {
+    return typeof warning === 'string' ? warning : warning.message || JSON.stringify(warning);
+  }
+
+  generateTextSummary(results) {
+    let summary = `GitHub Lines of Code Analysis for ${this.getReportLabel()} (${this.period.label})\n`;
+    summary += '='.repeat(60) + '\n\n';
+    
+    summary += `Period: ${this.formatPeriodRange(results.period)}\n`;
+    summary += `Analysis Date: ${results.processedAt}\n`;
+    summary += `Analysis Mode: ${this.describeAnalysisMode(results.analysisMode)}\n`;
+    if (results.fileRules) {
+      summary += `File Rules: ${this.formatFileRules(results.fileRules)}\n`;
+    }
+    const repoSelection = this.describeRepoSelection(results.repoSelection);
+    if (repoSelection) {
+      summary += `Repository Filter: ${repoSelection}\n`;
+    }
+    if (results.mergedFrom) {
+      summary += `Merged From: ${results.mergedFrom.length} reports (${results.mergedFrom.map(input => input.file).join(', ')})` +
+        ((results.duplicateRepos || []).length > 0 ? `; ${results.duplicateRepos.length} repositories found in several, newest kept\n` : '\n');
+    }
+    summary += `Total API Calls Made: ${results.runtimeStats.totalApiCalls.toLocaleString()}\n\n`;
+    
+    summary += `OVERALL STATISTICS:\n`;
+    summary += `- Total Lines Added: ${results.totalAdditions.toLocaleString()}\n`;
+    summary += `- Total Lines Deleted: ${results.totalDeletions.toLocaleString()}\n`;
+    summary += `- Net Lines of Code: ${results.netLines.toLocaleString()}\n`;
+    summary += `- Total Commits: ${results.totalCommits.toLocaleString()}\n`;
+    summary += `- Repositories Analyzed: ${results.repoStats.length}\n`;
+    if (results.churn) {
+      summary += `- Churn: ${this.formatChurn(results.churn, results.churn.reworkDays)}\n`;
+    }
+    summary += `\n`;
+    
+    if (results.authorMatches && Object.keys(results.authorMatches).length > 0) {
+      summary += `COMMITS MATCHED BY:\n`;
+      summary += this.formatAuthorMatches(results.authorMatches).map(line => `- ${line}\n`).join('');
+      if (results.coAuthors && results.coAuthors !== 'none') {
+        summary += `- Co-author credit: ${results.coAuthors}\n`;
+      }
+      summary += `\n`;
+    }
+    
+    if (results.userStats) {
+      summary += `PER-USER TOTALS:\n`;
+      Object.entries(results.userStats).forEach(([user, stats]) => {
+        summary += `- ${user}: +${stats.totalAdditions.toLocaleString()} -${stats.totalDeletions.toLocaleString()} (net ${stats.netLines.toLocaleString()}, ${stats.totalCommits.toLocaleString()} commits)\n`;
+      });
+      summary += `- Team total: +${results.totalAdditions.toLocaleString()} -${results.totalDeletions.toLocaleString()} (net ${results.netLines.toLocaleString()}, ${results.totalCommits.toLocaleString()} commits)\n\n`;
+    }
+    
+    // Processing status
+    if (results.processingStatus) {
+      summary += `PROCESSING STATUS:\n`;
+      summary += `- Successfully processed: ${results.processingStatus.successful} repositories\n`;
+      summary += `- Failed to process: ${results.processingStatus.failed} repositories\n\n`;
+      
+      if (results.processingStatus.failed > 0) {
+        summary += `FAILED REPOSITORIES:\n`;
+        results.processingStatus.failedRepos.forEach(repo => {
+          summary += `- ${repo}\n`;
+        });
+        summary += `\n`;
+      }
+    }
+    
+    const warnings = (results.warnings || []).map(warning => this.formatWarning(warning));
+    if (results.runtimeStats.truncatedCommits > 0) {
+      warnings.unshift(`${results.runtimeStats.truncatedCommits} commits had truncated data due to size`);
+    }
+    if (warnings.length > 0) {
+      summary += `WARNINGS:\n`;
+      warnings.forEach(warning => {
+        summary += `- ${warning}\n`;
+      });
+      summary += `\n`;
+    }
+    
+    if (results.runtimeStats.recoveredCommits > 0) {
+      summary += `Large commits recovered (full file list fetched): ${results.runtimeStats.recoveredCommits}\n\n`;
+    }
+    
+    const coverage = [];
+    if (results.branches && results.branches !== 'default') {
+      coverage.push(`Branches analyzed: ${results.branches}`);
+    }
+    if (results.forks && results.forks.length > 0) {
+      coverage.push(`Forks (processed after their upstreams): ${results.forks.join(', ')}`);
+    }
+    if (results.runtimeStats.duplicateCommits > 0) {
+      coverage.push(`Duplicate commits skipped (already counted in another repository): ${results.runtimeStats.duplicateCommits.toLocaleString()}`);
+    }
+    if (coverage.length > 0) {
+      summary += coverage.join('\n') + '\n\n';
+    }
+    
+    if (results.timeSeries) {
+      summary += `MONTHLY ACTIVITY (lines changed):\n`;
+      this.formatMonthlyChart(results.timeSeries.monthly).forEach(line => {
+        summary += `${line}\n`;
+      });
+      summary += `\n`;
+    }
+    
+    summary += `TOP 10 REPOSITORIES BY LINES ADDED:\n`;
+    this.getTopRepositories(results).forEach((repo, index) => {
+      const churn = repo.churn ? `, ${repo.churn.churnPercent.toFixed(1)}% churn` : '';
+      const truncated = repo.truncatedCommits > 0 ? `, ${repo.truncatedCommits} truncated` : '';
+      summary += `${index + 1}. ${repo.name}: +${repo.additions.toLocaleString()} lines (${repo.commits} commits${churn}${truncated})\n`;
+    });
+    
+    summary += `\nTOP 10 FILE TYPES BY LINES ADDED:\n`;
+    this.getTopEntries(results.fileTypeStats).forEach(([ext, stats], index) => {
+      summary += `${index + 1}. ${this.formatFileType(ext)}: +${stats.additions.toLocaleString()} lines (${stats.files.toLocaleString()} file changes, ${stats.commits} commits)\n`;
+    });
+    
+    summary += `\nTOP 10 LANGUAGES BY LINES ADDED:\n`;
+    this.getTopEntries(results.languageStats).forEach(([language, stats], index) => {
+      summary += `${index + 1}. ${language}: +${stats.additions.toLocaleString()} -${stats.deletions.toLocaleString()} lines (${stats.commits} commits)\n`;
+    });
+    
+    const categories = this.getCategoryEntries(results.categoryStats);
+    if (categories.length > 0) {
+      summary += `\nLINES BY CATEGORY:\n`;
+      categories.forEach(([category, stats]) => {
+        summary += `- ${CATEGORY_LABELS[category]}: +${stats.additions.toLocaleString()} -${stats.deletions.toLocaleString()} lines (${stats.commits} commits)\n`;
+      });
+      const ratio = this.getTestToCodeRatio(results.categoryStats);
+      summary += `Test-to-code ratio: ${ratio === null ? 'n/a (no source lines added)' : `${ratio.toFixed(2)} test lines per source line added`}\n`;
+    }
+    
+    return summary;
+  }
+
+  // GitHub-flavoured Markdown, ready to paste into PR descriptions and wikis
+  generateMarkdownSummary(results) {
+    const number = value => (value || 0).toLocaleString();
+    const cell = value => String(value).replace(/\|/g, '\\|');
+    const table = (headers, rows) => [
+      `| ${headers.join(' | ')} |`,
+      `| ${headers.map((header, index) => index === 0 ? '---' : '---:').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ].join('\n');
+    
+    const sections = [
+      `# GitHub Lines of Code: ${this.getReportLabel()} (${this.period.label})`,
+      `**Period:** ${this.formatPeriodRange(results.period)}  \n**Generated:** ${results.processedAt}` +
+        (results.fileRules ? `  \n**File rules:** ${cell(this.formatFileRules(results.fileRules))}` : ''),
+      table(['Metric', 'Value'], [
+        ['Lines added', `+${number(results.totalAdditions)}`],
+        ['Lines deleted', `-${number(results.totalDeletions)}`],
+        ['Net lines', number(results.netLines)],
+        ['Commits', number(results.totalCommits)],
+        ['Repositories', number(results.repoStats.length)],
+        ...(results.churn ? [[`Churn (rework within ${results.churn.reworkDays} days)`, `${results.churn.churnPercent.toFixed(1)}%`]] : [])
+      ])
+    ];
+    
+    if (results.userStats) {
+      sections.push('## Per-User Totals', table(['User', 'Added', 'Deleted', 'Net', 'Commits'],
+        Object.entries(results.userStats).map(([user, stats]) => [
+          user, `+${number(stats.totalAdditions)}`, `-${number(stats.totalDeletions)}`, number(stats.netLines), number(stats.totalCommits)
+        ])));
+    }
+    
+    if (results.authorMatches && Object.keys(results.authorMatches).length > 0) {
+      sections.push('## Commits Matched By', this.formatAuthorMatches(results.authorMatches).map(line => `- ${line}`).join('\n'));
+    }
+    
+    const failedRepos = (results.processingStatus && results.processingStatus.failedRepos) || [];
+    const warnings = failedRepos.map(repo => `- :x: Failed to process \`${repo}\``);
+    if (results.runtimeStats.truncatedCommits > 0) {
+      warnings.push(`- :warning: ${number(results.runtimeStats.truncatedCommits)} commits had truncated data due to size`);
+    }
+    (results.warnings || []).forEach(warning => {
+      warnings.push(`- :warning: ${this.formatWarning(warning)}`);
+    });
+    if (warnings.length > 0) {
+      sections.push('## Warnings', warnings.join('\n'));
+    }
+    
+    if ((results.forks && results.forks.length > 0) || results.runtimeStats.duplicateCommits > 0) {
+      sections.push('## Forks and Duplicates', [
+        `- Forks: ${results.forks && results.forks.length > 0 ? results.forks.map(fork => `\`${fork}\``).join(', ') : 'none'}`,
+        `- Duplicate commits skipped: ${number(results.runtimeStats.duplicateCommits)}`
+      ].join('\n'));
+    }
+    
+    sections.push('## Top Repositories by Lines Added', table(['Repository', 'Added', 'Deleted', 'Net', 'Commits', 'Churn'],
+      this.getTopRepositories(results).map(repo => [
+        repo.name, `+${number(repo.additions)}`, `-${number(repo.deletions)}`, number(repo.netLines), number(repo.commits),
+        repo.churn ? `${repo.churn.churnPercent.toFixed(1)}%` : 'n/a'
+      ])));
+    
+    sections.push('## Top File Types by Lines Added', table(['File type', 'Added', 'Deleted', 'Commits'],
+      this.getTopEntries(results.fileTypeStats).map(([ext, stats]) => [
+        `\`${this.formatFileType(ext)}\``, `+${number(stats.additions)}`, `-${number(stats.deletions)}`, number(stats.commits)
+      ])));
+    
+    sections.push('## Top Languages by Lines Added', table(['Language', 'Added', 'Deleted', 'Commits'],
+      this.getTopEntries(results.languageStats).map(([language, stats]) => [
+        language, `+${number(stats.additions)}`, `-${number(stats.deletions)}`, number(stats.commits)
+      ])));
+    
+    const categories = this.getCategoryEntries(results.categoryStats);
+    if (categories.length > 0) {
+      const ratio = this.getTestToCodeRatio(results.categoryStats);
+      sections.push('## Lines by Category', table(['Category', 'Added', 'Deleted', 'Commits'],
+        categories.map(([category, stats]) => [
+          CATEGORY_LABELS[category], `+${number(stats.additions)}`, `-${number(stats.deletions)}`, number(stats.commits)
+        ])) + (ratio !== null ? `\n\n**Test-to-code ratio:** ${ratio.toFixed(2)}` : ''));
+    }
+    
+    if (results.timeSeries) {
+      sections.push('## Monthly Activity', table(['Month', 'Added', 'Deleted', 'Net', 'Commits'],
+        Object.keys(results.timeSeries.monthly).sort().map(month => {
+          const stats = results.timeSeries.monthly[month];
+          return [month, `+${number(stats.additions)}`, `-${number(stats.deletions)}`, number(stats.netLines), number(stats.commits)];
+        })));
+    }
+    
+    return sections.join('\n\n') + '\n';
+  }
+
+  // One row per repository with every repoStats field; nested breakdowns are JSON-encoded cells
+  generateCsv(results) {
+    const columns = [];
+    results.repoStats.forEach(repo => {
+      Object.keys(repo).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+      });
+    });
+    
+    const escapeCell = value => {
+      if (value === undefined || value === null) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const lines = [columns.join(',')];
+    results.repoStats.forEach(repo => {
+      lines.push(columns.map(column => escapeCell(repo[column])).join(','));
+    });
+    
+    return lines.join('\n') + '\n';
+  }
+
+  // Self-contained HTML page (inline CSS, SVG and script) for sharing with people who won't open JSON
+  generateHtmlReport(results) {
+    const number = value => escapeHtml((value || 0).toLocaleString());
+    const title = `GitHub Lines of Code: ${this.getReportLabel()} (${this.period.label})`;
+    
+    const cards = [
+      ['Lines added', `+${number(results.totalAdditions)}`, 'added'],
+      ['Lines deleted', `-${number(results.totalDeletions)}`, 'deleted'],
+      ['Net lines', number(results.netLines), ''],
+      ['Commits', number(results.totalCommits), ''],
+      ['Repositories', number(results.repoStats.length), '']
+    ].map(([label, value, css]) => `<div class="card"><div class="label">${label}</div><div class="value ${css}">${value}</div></div>`).join('\n');
+    
+    const alerts = [];
+    const failedRepos = (results.processingStatus && results.processingStatus.failedRepos) || [];
+    if (failedRepos.length > 0) {
+      alerts.push(`<div class="alert error"><strong>${failedRepos.length} repositor${failedRepos.length === 1 ? 'y' : 'ies'} failed to process</strong>` +
+        `<ul>${failedRepos.map(repo => `<li>${escapeHtml(repo)}</li>`).join('')}</ul></div>`);
+    }
+    if (results.runtimeStats.truncatedCommits > 0) {
+      const truncatedRepos = results.repoStats.filter(repo => repo.truncatedCommits > 0);
+      alerts.push(`<div class="alert warning"><strong>${number(results.runtimeStats.truncatedCommits)} commits had truncated data due to size</strong>` +
+        `<ul>${truncatedRepos.map(repo => `<li>${escapeHtml(repo.name)}: ${number(repo.truncatedCommits)}</li>`).join('')}</ul></div>`);
+    }
+    (results.warnings || []).forEach(warning => {
+      alerts.push(`<div class="alert warning">${escapeHtml(this.formatWarning(warning))}</div>`);
+    });
+    
+    const repoRows = this.getTopRepositories(results, Infinity)
+      .map(repo => `<tr${repo.truncatedCommits > 0 ? ' class="truncated"' : ''}>` +
+        `<td data-value="${escapeHtml(repo.name)}">${escapeHtml(repo.name)}</td>` +
+        `<td data-value="${repo.additions}">+${number(repo.additions)}</td>` +
+        `<td data-value="${repo.deletions}">-${number(repo.deletions)}</td>` +
+        `<td data-value="${repo.netLines}">${number(repo.netLines)}</td>` +
+        `<td data-value="${repo.commits}">${number(repo.commits)}</td>` +
+        `<td data-value="${repo.sizeKB || 0}">${((repo.sizeKB || 0) / 1024).toFixed(1)} MB</td>` +
+        `<td data-value="${repo.truncatedCommits || 0}">${number(repo.truncatedCommits)}</td>` +
+        `</tr>`)
+      .join('\n');
+    
+    const fileTypeChart = renderBarChartSvg(
+      this.getTopEntries(results.fileTypeStats)
+        .map(([ext, stats]) => ({
+          label: this.formatFileType(ext),
+          value: stats.additions,
+          detail: `+${stats.additions.toLocaleString()} -${stats.deletions.toLocaleString()} in ${stats.commits} commits`
+        }))
+    );
+    const languageChart = renderBarChartSvg(
+      this.getTopEntries(results.languageStats)
+        .map(([language, stats]) => ({ label: language, value: stats.additions })),
+      { color: '#8957e5' }
+    );
+    const monthlyChart = results.timeSeries ? renderBarChartSvg(
+      Object.entries(results.timeSeries.monthly)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([month, stats]) => ({
+          label: month,
+          value: stats.additions + stats.deletions,
+          detail: `+${stats.additions.toLocaleString()} -${stats.deletions.toLocaleString()} (${stats.commits} commits)`
+        })),
+      { color: '#1a7f37', labelWidth: 90 }
+    ) : '';
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1000px; padding: 0 1rem; color: #1f2328; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.2rem; }
+  h2 { font-size: 1.2rem; margin-top: 2rem; border-bottom: 1px solid #d0d7de; padding-bottom: 0.3rem; }
+  .meta { color: #59636e; font-size: 0.9rem; }
+  .cards { display: flex; flex-wrap: wrap; gap: 1rem; margin-top: 1.5rem; }
+  .card { flex: 1 1 150px; border: 1px solid #d0d7de; border-radius: 6px; padding: 0.8rem 1rem; }
+  .card .label { color: #59636e; font-size: 0.85rem; }
+  .card .value { font-size: 1.5rem; font-weight: 600; }
+  .added { color: #1a7f37; }
+  .deleted { color: #cf222e; }
+  .alert { border-radius: 6px; padding: 0.8rem 1rem; margin-top: 1rem; }
+  .alert ul { margin: 0.4rem 0 0; }
+  .alert.error { background: #ffebe9; border: 1px solid #ff8182; }
+  .alert.warning { background: #fff8c5; border: 1px solid #d4a72c; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { text-align: right; padding: 0.35rem 0.6rem; border-bottom: 1px solid #d8dee4; }
+  th:first-child, td:first-child { text-align: left; }
+  th { cursor: pointer; user-select: none; background: #f6f8fa; }
+  th.sorted-asc::after { content: " \\25B2"; }
+  th.sorted-desc::after { content: " \\25BC"; }
+  tr.truncated td:first-child::after { content: " \\26A0"; color: #9a6700; }
+  .chart text { font-size: 12px; fill: #1f2328; }
+  .empty { color: #59636e; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">Period: ${escapeHtml(this.formatPeriodRange(results.period))} &middot; Generated ${escapeHtml(results.processedAt)} &middot; ${number(results.runtimeStats.totalApiCalls)} API calls</div>
+<div class="cards">
+${cards}
+</div>
+${alerts.join('\n')}
+<h2>Repositories</h2>
+<table id="repos">
+<thead><tr><th data-type="text">Repository</th><th data-type="number">Added</th><th data-type="number">Deleted</th><th data-type="number">Net</th><th data-type="number">Commits</th><th data-type="number">Size</th><th data-type="number">Truncated</th></tr></thead>
+<tbody>
+${repoRows}
+</tbody>
+</table>
+<h2>File Types by Lines Added</h2>
+${fileTypeChart}
+<h2>Languages by Lines Added</h2>
+${languageChart}
+${monthlyChart ? `<h2>Monthly Activity (lines changed)</h2>\n${monthlyChart}` : ''}
+<script>
+  document.querySelectorAll('#repos th').forEach(function (header, column) {
+    header.addEventListener('click', function () {
+      var tbody = document.querySelector('#repos tbody');
+      var descending = !header.classList.contains('sorted-desc');
+      var numeric = header.dataset.type === 'number';
+      var rows = Array.prototype.slice.call(tbody.rows);
+      rows.sort(function (a, b) {
+        var x = a.cells[column].dataset.value;
+        var y = b.cells[column].dataset.value;
+        var order = numeric ? x - y : x.localeCompare(y);
+        return descending ? -order : order;
+      });
+      rows.forEach(function (row) { tbody.appendChild(row); });
+      document.querySelectorAll('#repos th').forEach(function (th) { th.classList.remove('sorted-asc', 'sorted-desc'); });
+      header.classList.add(descending ? 'sorted-desc' : 'sorted-asc');
+    });
+  });
+</script>
+</body>
+</html>
+`;
+  }
+
+  // The console shows the same summary the txt formatter writes, so the two can't drift apart
+  printSummary(results) {
+    console.log('\n' + REPORT_FORMATTERS.txt.render(this, results).trimEnd());
+  }
+}
+
+// Checks a value against the subset of JSON Schema used by report.schema.json ($ref, type,
+// const, enum, minimum, required, properties, additionalProperties, items). Returns error messages
+function validateSchema(value, schema, root = schema, at = 'report') {
+  if (schema.$ref) {
+    return validateSchema(value, root.$defs[schema.$ref.replace('#/$defs/', '')], root, at);
+  }
+  
+  const typeOf = item => item === null ? 'null' : Array.isArray(item) ? 'array' : Number.isInteger(item) ? 'integer' : typeof item;
+  const actual = typeOf(value);
+  if (schema.const !== undefined && value !== schema.const) {
+    return [`${at}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${actual}`];
+    }
+  }
+  
+  const errors = [];
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: ${value} is below the minimum of ${schema.minimum}`);
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, root, `${at}[${index}]`)));
+  }
+  if (actual === 'object') {
+    const child = key => /^[A-Za-z_$][\w$]*$/.test(key) ? `${at}.${key}` : `${at}[${JSON.stringify(key)}]`;
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${child(key)}: is required`);
+    });
+    Object.entries(value).forEach(([key, item]) => {
+      const itemSchema = (schema.properties && schema.properties[key]) ||
+        (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (itemSchema) errors.push(...validateSchema(item, itemSchema, root, child(key)));
+    });
+  }
+  
+  return errors;
+}
+
+function validateReport(report) {
+  return validateSchema(report, REPORT_SCHEMA);
+}
+
+// Loads a report written by an earlier version into the current shape. Reports from before
+// schemaVersion 1 lack later fields, which get their empty values; their period and user are
+// taken from the github-loc-{user}-{year}-{timestamp}.json file name when possible
+function upgradeReport(report, file = null) {
+  const version = report.schemaVersion || 0;
+  if (version > REPORT_SCHEMA_VERSION) {
+    throw new Error(`${file || 'Report'} uses schema version ${version}; this version of gh-loc-report reads up to ${REPORT_SCHEMA_VERSION}`);
+  }
+  if (version === REPORT_SCHEMA_VERSION) {
+    return report;
+  }
+  
+  const breakdown = (entries = {}) => Object.fromEntries(Object.entries(entries).map(([key, entry]) => [
+    key, { additions: 0, deletions: 0, commits: 0, files: 0, ...entry }
+  ]));
+  const buckets = (entries = {}) => Object.fromEntries(Object.entries(entries).map(([key, entry]) => [
+    key, { additions: 0, deletions: 0, commits: 0, ...entry, netLines: (entry.additions || 0) - (entry.deletions || 0) }
+  ]));
+  const timeSeries = (series = {}) => ({ monthly: buckets(series.monthly), weekly: buckets(series.weekly) });
+  
+  const repoStats = (report.repoStats || []).map(stats => ({
+    sizeKB: null,
+    truncatedCommits: 0,
+    recoveredCommits: 0,
+    duplicateCommits: 0,
+    ...stats,
+    netLines: (stats.additions || 0) - (stats.deletions || 0),
+    fileTypeStats: breakdown(stats.fileTypeStats),
+    languageStats: breakdown(stats.languageStats),
+    timeSeries: timeSeries(stats.timeSeries)
+  }));
+  const totalAdditions = report.totalAdditions || 0;
+  const totalDeletions = report.totalDeletions || 0;
+  
+  const upgraded = {
+    ...report,
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    totalAdditions,
+    totalDeletions,
+    netLines: totalAdditions - totalDeletions,
+    totalCommits: report.totalCommits || 0,
+    repoStats,
+    fileTypeStats: breakdown(report.fileTypeStats),
+    languageStats: breakdown(report.languageStats),
+    timeSeries: timeSeries(report.timeSeries),
+    // Warnings used to be plain strings
+    warnings: (report.warnings || []).map(warning => typeof warning === 'string' ? { type: 'note', message: warning } : warning),
+    runtimeStats: {
+      totalApiCalls: 0,
+      truncatedCommits: 0,
+      recoveredCommits: 0,
+      skippedCommits: 0,
+      cachedCommits: 0,
+      duplicateCommits: 0,
+      rateLimitWaitMs: 0,
+      ...report.runtimeStats
+    },
+    processingStatus: report.processingStatus || { successful: repoStats.length, failed: 0, failedRepos: [] },
+    analysisMode: report.analysisMode || 'all',
+    org: report.org || null,
+    authorMatches: report.authorMatches || {},
+    forks: report.forks || []
+  };
+  
+  const match = file && path.basename(file).match(/^github-loc-(.+)-(\d{4})-\d{4}-\d{2}-\d{2}T[\d-]+Z\.json$/);
+  if (!upgraded.period && match) {
+    const period = resolvePeriod({ year: match[2] });
+    upgraded.period = { label: period.label, since: period.since.toISOString(), until: period.until.toISOString(), timeZone: period.timeZone };
+  }
+  if (!upgraded.users) {
+    upgraded.users = match ? [match[1]] : [];
+  }
+  
+  return upgraded;
+}
+
+// Metrics lined up by `compare`, per repository and in total
+const COMPARED_METRICS = [
+  { key: 'additions', total: 'totalAdditions', label: 'Added' },
+  { key: 'deletions', total: 'totalDeletions', label: 'Deleted' },
+  { key: 'netLines', total: 'netLines', label: 'Net' },
+  { key: 'commits', total: 'totalCommits', label: 'Commits' }
+];
+
+// Formats `compare` writes; the report-only formats (csv, html) don't apply
+const COMPARISON_FORMATS = ['json', 'txt', 'md'];
+
+function describeReport(report) {
+  const who = report.org || (report.users || []).join(', ') || 'unknown user';
+  return `${who} ${(report.period && report.period.label) || 'unknown period'}`;
+}
+
+// Lines up the repoStats of two JSON reports by repository name. Repositories only in the new
+// report appeared, those only in the old one disappeared, unless they failed in the new run
+function compareReports(oldReport, newReport) {
+  const failedRepos = report => new Set((report.processingStatus && report.processingStatus.failedRepos) || []);
+  const metrics = (stats = {}) => Object.fromEntries(COMPARED_METRICS.map(({ key }) => [key, stats[key] || 0]));
+  const oldRepos = new Map(oldReport.repoStats.map(stats => [stats.name, metrics(stats)]));
+  const newRepos = new Map(newReport.repoStats.map(stats => [stats.name, metrics(stats)]));
+  const oldFailed = failedRepos(oldReport);
+  const newFailed = failedRepos(newReport);
+  
+  const names = [...new Set([...oldRepos.keys(), ...newRepos.keys(), ...newFailed])];
+  const repos = names.map(name => {
+    const before = oldRepos.get(name) || null;
+    const after = newRepos.get(name) || null;
+    let status = 'unchanged';
+    if (newFailed.has(name)) {
+      status = oldFailed.has(name) ? 'failing' : 'started-failing';
+    } else if (!before) {
+      status = oldFailed.has(name) ? 'recovered' : 'appeared';
+    } else if (!after) {
+      status = 'disappeared';
+    } else if (COMPARED_METRICS.some(({ key }) => before[key] !== after[key])) {
+      status = 'changed';
+    }
+    
+    const delta = Object.fromEntries(COMPARED_METRICS.map(({ key }) => [key, (after ? after[key] : 0) - (before ? before[key] : 0)]));
+    return { name, status, old: before, new: after, delta };
+  });
+  
+  // Biggest movers first
+  repos.sort((a, b) => Math.abs(b.delta.netLines) - Math.abs(a.delta.netLines) || a.name.localeCompare(b.name));
+  
+  const totals = Object.fromEntries(COMPARED_METRICS.map(({ key, total }) => {
+    const before = oldReport[total] || 0;
+    const after = newReport[total] || 0;
+    return [key, { old: before, new: after, delta: after - before }];
+  }));
+  const withStatus = status => repos.filter(repo => repo.status === status).map(repo => repo.name);
+  
+  return {
+    old: { label: describeReport(oldReport), period: oldReport.period || null, processedAt: oldReport.processedAt || null },
+    new: { label: describeReport(newReport), period: newReport.period || null, processedAt: newReport.processedAt || null },
+    totals: totals,
+    repos: repos,
+    appeared: withStatus('appeared'),
+    disappeared: withStatus('disappeared'),
+    startedFailing: withStatus('started-failing'),
+    recovered: withStatus('recovered')
+  };
+}
+
+// "+1,234", "-56" or "0"
+function formatDelta(value) {
+  return `${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+}
+
+// "+1,234 (+12.5%)"; no percentage when the old value was 0
+function formatTotalChange({ old: before, delta }) {
+  return before === 0 ? formatDelta(delta) : `${formatDelta(delta)} (${delta >= 0 ? '+' : ''}${(delta / Math.abs(before) * 100).toFixed(1)}%)`;
+}
+
+const COMPARISON_STATUS_LABELS = {
+  appeared: 'appeared',
+  disappeared: 'disappeared',
+  'started-failing': 'started failing',
+  failing: 'still failing',
+  recovered: 'no longer failing'
+};
+
+function formatComparisonText(comparison) {
+  let summary = `GitHub Lines of Code Comparison\n`;
+  summary += `${'='.repeat(60)}\n`;
+  summary += `Old: ${comparison.old.label}${comparison.old.processedAt ? ` (generated ${comparison.old.processedAt})` : ''}\n`;
+  summary += `New: ${comparison.new.label}${comparison.new.processedAt ? ` (generated ${comparison.new.processedAt})` : ''}\n\n`;
+  
+  summary += `TOTALS:\n`;
+  COMPARED_METRICS.forEach(({ key, label }) => {
+    const total = comparison.totals[key];
+    summary += `- ${label}: ${total.old.toLocaleString()} → ${total.new.toLocaleString()}, ${formatTotalChange(total)}\n`;
+  });
+  
+  const flags = [
+    ['APPEARED', comparison.appeared],
+    ['DISAPPEARED', comparison.disappeared],
+    ['STARTED FAILING', comparison.startedFailing],
+    ['NO LONGER FAILING', comparison.recovered]
+  ];
+  flags.filter(([, names]) => names.length > 0).forEach(([title, names]) => {
+    summary += `\n${title} (${names.length}):\n`;
+    names.forEach(name => { summary += `- ${name}\n`; });
+  });
+  
+  const changed = comparison.repos.filter(repo => repo.status !== 'unchanged');
+  summary += `\nREPOSITORY CHANGES (${changed.length} of ${comparison.repos.length}):\n`;
+  changed.forEach(repo => {
+    const { additions, deletions, netLines, commits } = repo.delta;
+    const status = COMPARISON_STATUS_LABELS[repo.status] ? ` [${COMPARISON_STATUS_LABELS[repo.status]}]` : '';
+    summary += `- ${repo.name}${status}: added ${formatDelta(additions)}, deleted ${formatDelta(deletions)}, net ${formatDelta(netLines)}, commits ${formatDelta(commits)}\n`;
+  });
+  
+  return summary;
+}
+
+function formatComparisonMarkdown(comparison) {
+  const cell = value => String(value).replace(/\|/g, '\\|');
+  const table = (headers, rows) => [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map((header, index) => index === 0 ? '---' : '---:').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+  const statusIcons = { appeared: ':new:', disappeared: ':wastebasket:', 'started-failing': ':x:', failing: ':x:', recovered: ':white_check_mark:' };
+  
+  const sections = [
+    `# GitHub Lines of Code: ${comparison.old.label} → ${comparison.new.label}`,
+    table(['Metric', 'Old', 'New', 'Change'], COMPARED_METRICS.map(({ key, label }) => {
+      const total = comparison.totals[key];
+      return [label, total.old.toLocaleString(), total.new.toLocaleString(), formatTotalChange(total)];
+    }))
+  ];
+  
+  const changed = comparison.repos.filter(repo => repo.status !== 'unchanged');
+  if (changed.length > 0) {
+    sections.push('## Repositories', table(['Repository', 'Added', 'Deleted', 'Net', 'Commits'], changed.map(repo => [
+      `${statusIcons[repo.status] ? `${statusIcons[repo.status]} ` : ''}${repo.name}${COMPARISON_STATUS_LABELS[repo.status] ? ` (${COMPARISON_STATUS_LABELS[repo.status]})` : ''}`,
+      ...COMPARED_METRICS.map(({ key }) => formatDelta(repo.delta[key]))
+    ])));
+  }
+  
+  return sections.join('\n\n') + '\n';
+}
+
+const VERSION = require('./package.json').version;
+
+// Subcommands; a first positional argument that is not one of these names a repository
+const COMMANDS = ['report', 'cache', 'compare', 'merge', 'validate'];
+
+// 0: every repository processed, 1: fatal error or bad arguments, 2: some repositories failed
+const EXIT_CODES = { success: 0, fatal: 1, partial: 2 };
+
+const HELP_TEXT = `gh-loc-report ${VERSION} - lines of code added and deleted on GitHub
+
+Usage:
+  node gh-loc-report.js [report] [repository] [options]   Analyze one repository or all of them
+  node gh-loc-report.js cache info                        Show the commit stats cache
+  node gh-loc-report.js cache clear                       Delete the commit stats cache
+  node gh-loc-report.js compare <old.json> <new.json>     Show the changes between two JSON reports
+  node gh-loc-report.js merge <a.json> <b.json> [...]     Combine partial JSON reports into one
+  node gh-loc-report.js validate <report.json>            Check a JSON report against report.schema.json
+  node gh-loc-report.js --help | --version
+
+Who and when:
+  --user <login>            User to analyze (default: $GITHUB_USERNAME)
+  --users <a,b,...>         Several users, reported separately and as a team
+  --org <org>               Analyze the repositories of an organization
+  --year <yyyy>             Calendar year (default: $ANALYSIS_YEAR or 2025)
+  --quarter <yyyy-Qn>       A quarter, e.g. 2025-Q3
+  --month <yyyy-mm>         A month
+  --since <date>            Start date (with --until)
+  --until <date>            End date
+  --last <n>d|<n>w          The last n days or weeks
+  --tz <zone>               Time zone for period boundaries and buckets
+
+Repositories:
+  --repo <glob>             Only repositories matching the glob (repeatable)
+  --exclude-repo <glob>     Skip repositories matching the glob (repeatable)
+  --owner <login,...>       Only repositories of these owners
+  --topic <topic,...>       Only repositories with one of these topics
+  --visibility <v>          public, private or internal
+  --include-forks           Include forks (default)
+  --exclude-forks           Skip forks
+  --exclude-archived        Skip archived repositories
+  --branches <b>            default, all or a branch glob (default: default)
+  --local <path>            Analyze an existing clone without API calls
+  --clone                   Clone every repository and read history locally
+
+Counting:
+  --config <file>           Config file (default: .locreportrc.json or locreport.config.js)
+  --no-gitattributes        Ignore linguist markers in .gitattributes
+  --co-authors <mode>       Credit Co-authored-by trailers: none, full or split
+  --max-commits <n>         Stop after n commits per repository
+  --rework-days <n>         Window for counting a repeated change as rework (default: 21)
+
+Running:
+  --concurrency <n>         Commit requests in flight per repository (default: 1)
+  --no-cache                Do not read or write the commit stats cache
+  --clear-cache             Delete the commit stats cache first
+  --resume <checkpoint>     Continue an interrupted run
+  --retry-failed            Process only the repositories that failed last time
+  --dry-run                 Count commits and estimate API calls and time, then stop
+
+Output:
+  --format <list>           json, txt, md, csv, html (default: json,txt; compare: json, txt, md)
+  --output-dir <dir>        Where reports and checkpoints go (default: ./reports)
+  --json-stdout             Print the JSON report to stdout instead of writing files
+  --quiet, -q               Only print warnings and errors
+  --verbose, -v             Also log every API request
+
+Environment:
+  GITHUB_TOKEN              Personal access token (not needed with --local)
+  GITHUB_USERNAME           Default for --user
+  ANALYSIS_YEAR             Default for --year
+
+Exit codes:
+  0  success
+  1  fatal error or invalid arguments
+  2  finished, but some repositories failed (see failedRepos)
+`;
+
+// Parse command line arguments: an optional subcommand, its arguments and --flags
+function parseArgs(argv) {
+  const options = {
+    command: 'report',
+    args: [],
+    help: false,
+    version: false,
+    targetRepo: null,
+    user: null,
+    year: null,
+    org: null,
+    users: [],
+    coAuthors: 'none',
+    cache: true,
+    gitattributes: true,
+    clearCache: false,
+    resume: null,
+    retryFailed: false,
+    dryRun: false,
+    concurrency: 1,
+    maxCommits: null,
+    reworkDays: 21,
+    branches: 'default',
+    repoFilter: { ...DEFAULT_REPO_FILTER, owners: [], topics: [], repos: [], excludeRepos: [] },
+    since: null,
+    until: null,
+    quarter: null,
+    month: null,
+    last: null,
+    tz: null,
+    formats: DEFAULT_FORMATS,
+    config: null,
+    local: null,
+    clone: false,
+    outputDir: './reports',
+    jsonStdout: false,
+    logLevel: 'normal'
+  };
+  const positionals = [];
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+    const takeValue = () => {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value === '') {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      return value;
+    };
+    
+    switch (flag) {
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--version':
+      case '-V':
+        options.version = true;
+        break;
+      case '--user':
+        options.user = takeValue();
+        break;
+      case '--year':
+        options.year = takeValue();
+        if (!/^\d{4}$/.test(options.year)) {
+          throw new Error(`--year must be a four-digit year, got '${options.year}'`);
+        }
+        break;
+      case '--output-dir':
+        options.outputDir = takeValue();
+        break;
+      case '--json-stdout':
+        options.jsonStdout = true;
+        break;
+      case '--quiet':
+      case '-q':
+        options.logLevel = 'quiet';
+        break;
+      case '--verbose':
+      case '-v':
+        options.logLevel = 'verbose';
+        break;
+      case '--org':
+        options.org = takeValue();
+        break;
+      case '--users':
+        options.users = takeValue().split(',').map(user => user.trim()).filter(Boolean);
+        break;
+      case '--co-authors':
+        options.coAuthors = takeValue();
+        if (!['none', 'full', 'split'].includes(options.coAuthors)) {
+          throw new Error(`--co-authors must be one of none, full, split, got '${options.coAuthors}'`);
+        }
+        break;
+      case '--no-cache':
+        options.cache = false;
+        break;
+      case '--no-gitattributes':
+        options.gitattributes = false;
+        break;
+      case '--clear-cache':
+        options.clearCache = true;
+        break;
+      case '--resume':
+        options.resume = takeValue();
+        break;
+      case '--retry-failed':
+        options.retryFailed = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--since':
+      case '--until':
+      case '--quarter':
+      case '--month':
+      case '--last':
+      case '--tz':
+        options[flag.slice(2)] = takeValue();
+        break;
+      case '--local':
+        options.local = takeValue();
+        break;
+      case '--config':
+        options.config = takeValue();
+        break;
+      case '--branches':
+        options.branches = takeValue();
+        break;
+      case '--include-forks':
+      case '--exclude-forks':
+        options.repoFilter.forks = flag === '--include-forks' ? 'include' : 'exclude';
+        break;
+      case '--exclude-archived':
+        options.repoFilter.archived = 'exclude';
+        break;
+      case '--visibility':
+        options.repoFilter.visibility = takeValue();
+        if (!['public', 'private', 'internal'].includes(options.repoFilter.visibility)) {
+          throw new Error(`--visibility must be public, private or internal, got '${options.repoFilter.visibility}'`);
+        }
+        break;
+      case '--owner':
+        options.repoFilter.owners.push(...takeValue().split(',').map(owner => owner.trim()).filter(Boolean));
+        break;
+      case '--topic':
+        options.repoFilter.topics.push(...takeValue().split(',').map(topic => topic.trim()).filter(Boolean));
+        break;
+      case '--repo':
+        options.repoFilter.repos.push(takeValue());
+        break;
+      case '--exclude-repo':
+        options.repoFilter.excludeRepos.push(takeValue());
+        break;
+      case '--clone':
+        options.clone = true;
+        break;
+      case '--format':
+        options.formats = parseFormats(takeValue());
+        break;
+      case '--concurrency': {
+        const value = takeValue();
+        options.concurrency = parseInt(value, 10);
+        if (!/^\d+$/.test(value) || options.concurrency < 1) {
+          throw new Error(`--concurrency must be a positive integer, got '${value}'`);
+        }
+        break;
+      }
+      case '--max-commits': {
+        const value = takeValue();
+        options.maxCommits = parseInt(value, 10);
+        if (!/^\d+$/.test(value) || options.maxCommits < 1) {
+          throw new Error(`--max-commits must be a positive integer, got '${value}'`);
+        }
+        break;
+      }
+      case '--rework-days': {
+        const value = takeValue();
+        options.reworkDays = parseInt(value, 10);
+        if (!/^\d+$/.test(value) || options.reworkDays < 1) {
+          throw new Error(`--rework-days must be a positive integer, got '${value}'`);
+        }
+        break;
+      }
+      default:
+        if (flag.startsWith('-')) {
+          throw new Error(`Unknown option: ${flag}`);
+        }
+        positionals.push(arg);
+    }
+  }
+  
+  if (positionals.length > 0 && COMMANDS.includes(positionals[0])) {
+    options.command = positionals.shift();
+  }
+  options.args = positionals;
+  
+  if (options.command === 'report') {
+    if (positionals.length > 1) {
+      throw new Error(`Unexpected argument: ${positionals[1]}`);
+    }
+    options.targetRepo = positionals[0] || null;
+  } else if (options.command === 'cache' && !options.help && !['info', 'clear'].includes(positionals[0])) {
+    throw new Error(`Usage: cache info|clear`);
+  } else if (options.command === 'compare' && !options.help) {
+    if (positionals.length !== 2) {
+      throw new Error(`Usage: compare <old.json> <new.json>`);
+    }
+    const unsupported = options.formats.filter(format => !COMPARISON_FORMATS.includes(format));
+    if (unsupported.length > 0) {
+      throw new Error(`compare writes ${COMPARISON_FORMATS.join(', ')}, not ${unsupported.join(', ')}`);
+    }
+  } else if (options.command === 'merge' && !options.help && positionals.length < 2) {
+    throw new Error(`Usage: merge <report.json> <report.json> [...]`);
+  } else if (options.command === 'validate' && !options.help && positionals.length !== 1) {
+    throw new Error(`Usage: validate <report.json>`);
+  }
+  
+  // Local history costs no API calls, and --clone would clone every repository just to count
+  if (options.dryRun && (options.local || options.clone)) {
+    throw new Error('--dry-run estimates API usage and cannot be combined with --local or --clone');
+  }
+  
+  return options;
+}
+
+// --quiet drops progress output; --json-stdout moves it to stderr so stdout carries only the
+// report. Returns a function that restores the console.
+function configureConsole(options) {
+  const log = console.log;
+  if (options.logLevel === 'quiet') {
+    console.log = () => {};
+  } else if (options.jsonStdout) {
+    console.log = (...args) => console.error(...args);
+  }
+  return () => { console.log = log; };
+}
+
+// Main execution function; resolves to the process exit code
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Run with --help for usage.');
+    return EXIT_CODES.fatal;
+  }
+  
+  if (options.help) {
+    console.log(HELP_TEXT);
+    return EXIT_CODES.success;
+  }
+  if (options.version) {
+    console.log(VERSION);
+    return EXIT_CODES.success;
+  }
+  
+  const restoreConsole = configureConsole(options);
+  try {
+    if (options.command === 'cache') {
+      return await runCacheCommand(options);
+    }
+    if (options.command === 'compare') {
+      return await runCompare(options);
+    }
+    if (options.command === 'merge') {
+      return await runMerge(options);
+    }
+    if (options.command === 'validate') {
+      return await runValidate(options);
+    }
+    return await runReport(options);
+  } finally {
+    restoreConsole();
+  }
+}
+
+async function runCacheCommand(options) {
+  const cache = new CommitStatsCache();
+  
+  if (options.args[0] === 'clear') {
+    await cache.clear();
+    console.log(`Cleared commit stats cache: ${cache.filePath}`);
+    return EXIT_CODES.success;
+  }
+  
+  await cache.load();
+  let sizeKB = 0;
+  try {
+    sizeKB = (await fs.stat(cache.filePath)).size / 1024;
+  } catch (error) {
+    // No cache file yet
+  }
+  console.log(`Commit stats cache: ${cache.filePath}`);
+  console.log(`Cached commits: ${cache.size.toLocaleString()}`);
+  console.log(`File size: ${sizeKB.toFixed(1)} KB`);
+  return EXIT_CODES.success;
+}
+
+async function readReportFile(file) {
+  let report;
+  try {
+    report = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read report ${file}: ${error.message}`);
+  }
+  if (!report || !Array.isArray(report.repoStats)) {
+    throw new Error(`${file} is not a JSON report (no repoStats)`);
+  }
+  return report;
+}
+
+// Reports can only be merged when they cover the same period and the same users
+function checkMergeable(inputs) {
+  const [first] = inputs;
+  const periodOf = report => report.period ? `${report.period.since}/${report.period.until}` : null;
+  const usersOf = report => [...(report.users || [])].map(user => user.toLowerCase()).sort().join(', ');
+  inputs.forEach(({ file, report }) => {
+    if (!usersOf(report)) {
+      throw new Error(`Cannot merge ${file}: it names no users`);
+    }
+    if (!periodOf(report) || periodOf(report) !== periodOf(first.report)) {
+      throw new Error(`Cannot merge ${file}: its period (${report.period ? report.period.label : 'none'}) differs from ${first.file} (${first.report.period ? first.report.period.label : 'none'})`);
+    }
+    if (usersOf(report) !== usersOf(first.report)) {
+      throw new Error(`Cannot merge ${file}: its users (${usersOf(report)}) differ from ${first.file} (${usersOf(first.report)})`);
+    }
+  });
+}
+
+// Reports written by earlier versions are upgraded to the current shape on load
+async function readReport(file) {
+  return upgradeReport(await readReportFile(file), file);
+}
+
+async function runValidate(options) {
+  const file = options.args[0];
+  let report;
+  try {
+    report = await readReportFile(file);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.fatal;
+  }
+  
+  const printErrors = errors => {
+    errors.slice(0, 20).forEach(error => console.error(`  - ${error}`));
+    if (errors.length > 20) {
+      console.error(`  ... and ${errors.length - 20} more`);
+    }
+  };
+  const version = report.schemaVersion || 0;
+  const errors = validateReport(report);
+  if (errors.length === 0) {
+    console.log(`✅ ${file} is a valid schema version ${REPORT_SCHEMA_VERSION} report`);
+    return EXIT_CODES.success;
+  }
+  
+  if (version < REPORT_SCHEMA_VERSION) {
+    const upgraded = upgradeReport(report, file);
+    const upgradedErrors = validateReport(upgraded);
+    if (upgradedErrors.length === 0) {
+      console.error(`❌ ${file} uses schema version ${version}; it upgrades cleanly to version ${REPORT_SCHEMA_VERSION} (compare and merge do this on load)`);
+      if (options.jsonStdout) {
+        process.stdout.write(JSON.stringify(upgraded, null, 2) + '\n');
+      } else {
+        console.error('Run with --json-stdout to print the upgraded report.');
+      }
+    } else {
+      console.error(`❌ ${file} uses schema version ${version} and does not upgrade cleanly to version ${REPORT_SCHEMA_VERSION}:`);
+      printErrors(upgradedErrors);
+    }
+    return EXIT_CODES.fatal;
+  }
+  
+  console.error(`❌ ${file} does not match schema version ${REPORT_SCHEMA_VERSION} (${errors.length} problem${errors.length === 1 ? '' : 's'}):`);
+  printErrors(errors);
+  return EXIT_CODES.fatal;
+}
+
+async function runCompare(options) {
+  let comparison;
+  try {
+    const [oldReport, newReport] = await Promise.all(options.args.map(readReport));
+    comparison = compareReports(oldReport, newReport);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.fatal;
+  }
+  
+  const renderers = {
+    json: () => JSON.stringify(comparison, null, 2),
+    txt: () => formatComparisonText(comparison),
+    md: () => formatComparisonMarkdown(comparison)
+  };
+  console.log(formatComparisonText(comparison));
+  if (options.jsonStdout) {
+    process.stdout.write(renderers.json() + '\n');
+    return EXIT_CODES.success;
+  }
+  
+  await fs.mkdir(options.outputDir, { recursive: true });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const label = [comparison.old, comparison.new].map(side => (side.period && side.period.label) || 'unknown').join('-vs-');
+  for (const format of options.formats) {
+    const filename = `${options.outputDir}/github-loc-compare-${label}-${timestamp}.${format}`;
+    await fs.writeFile(filename, renderers[format]());
+    console.log(`Comparison saved to: ${filename}`);
+  }
+  return EXIT_CODES.success;
+}
+
+async function runMerge(options) {
+  let calculator;
+  let results;
+  try {
+    // Upgraded and checked before anything is built from them
+    const inputs = await Promise.all(options.args.map(async file => ({ file, report: await readReport(file) })));
+    inputs.forEach(({ file, report }) => {
+      const errors = validateReport(report);
+      if (errors.length > 0) {
+        throw new Error(`Cannot merge ${file}: ${errors[0]}${errors.length > 1 ? ` (and ${errors.length - 1} more; see validate)` : ''}`);
+      }
+    });
+    checkMergeable(inputs);
+    
+    const { report } = inputs[0];
+    const period = {
+      label: report.period.label,
+      since: new Date(report.period.since),
+      until: new Date(report.period.until),
+      timeZone: report.period.timeZone
+    };
+    calculator = new GitHubLOCCalculator(process.env.GITHUB_TOKEN, report.users[0], period.since.getUTCFullYear(), {
+      // Only name the organization when every part covers the same one
+      org: inputs.every(input => input.report.org === report.org) ? report.org : null,
+      users: report.users,
+      cache: false,
+      period: period,
+      formats: options.formats,
+      outputDir: options.outputDir
+    });
+    results = calculator.mergeReports(inputs);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.fatal;
+  }
+  
+  console.log(`Merged ${options.args.length} reports: ${results.repoStats.length} repositories`);
+  if (results.duplicateRepos.length > 0) {
+    console.log(`Found in several reports (newest kept): ${results.duplicateRepos.join(', ')}`);
+  }
+  
+  calculator.printSummary(results);
+  if (options.jsonStdout) {
+    process.stdout.write(JSON.stringify(results, null, 2) + '\n');
+  } else {
+    await calculator.saveResults(results);
+  }
+  return results.processingStatus.failed > 0 ? EXIT_CODES.partial : EXIT_CODES.success;
+}
+
+async function runReport(options) {
+  const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+  const ANALYSIS_YEAR = options.year || process.env.ANALYSIS_YEAR || '2025';
+  const targetRepo = options.targetRepo;
+  // An explicit --users list decides who is analyzed; GITHUB_USERNAME is only a default for --user
+  const GITHUB_USERNAME = options.users[0] || options.user || process.env.GITHUB_USERNAME;
+  
+  let period;
+  try {
+    period = resolvePeriod({ ...options, year: ANALYSIS_YEAR });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.fatal;
+  }
+  
+  // A local clone needs no API access, only the user whose commits to count
+  if ((!GITHUB_TOKEN && !options.local) || !GITHUB_USERNAME) {
+    console.error('❌ Missing required environment variables!');
+    console.error('');
     console.error('Please configure your GitHub credentials:');
     console.error('');
     console.error('Option 1 - Using .env file (recommended):');
@@ -620,42 +3997,127 @@ async function main() {
     console.error('export GITHUB_TOKEN=your_github_token_here');
     console.error('export GITHUB_USERNAME=your_github_username');
     console.error('');
+    console.error('The username can also be given with --user.');
     console.error('Get your GitHub token at: https://github.com/settings/tokens');
-    process.exit(1);
+    return EXIT_CODES.fatal;
   }
   
   try {
     console.log('GitHub Large Repository LOC Calculator');
     console.log('====================================');
-    console.log(`Target user: ${GITHUB_USERNAME}`);
-    console.log(`Analysis year: ${ANALYSIS_YEAR}`);
-    if (targetRepo) {
+    if (options.users.length > 1) {
+      console.log(`Target users: ${options.users.join(', ')}`);
+    } else {
+      console.log(`Target user: ${GITHUB_USERNAME}`);
+    }
+    if (options.org) {
+      console.log(`Organization: ${options.org}`);
+    }
+    console.log(`Analysis period: ${period.label} (${period.since.toISOString()} to ${period.until.toISOString()})`);
+    if (options.dryRun) {
+      console.log(`Dry run: no commit details are fetched and no reports are written`);
+    }
+    if (options.local) {
+      console.log(`Local repository: ${options.local}`);
+    } else if (targetRepo) {
       console.log(`Target repository: ${targetRepo}`);
     } else {
       console.log(`Target: All repositories`);
     }
+    const config = await loadConfig(options.config);
+    if (config.source !== 'built-in') {
+      console.log(`Config file: ${config.source}`);
+    }
     console.log(`Start time: ${new Date().toISOString()}\n`);
     
-    const calculator = new GitHubLOCCalculator(GITHUB_TOKEN, GITHUB_USERNAME, parseInt(ANALYSIS_YEAR));
+    const calculator = new GitHubLOCCalculator(GITHUB_TOKEN, GITHUB_USERNAME, parseInt(ANALYSIS_YEAR), {
+      org: options.org,
+      users: options.users,
+      coAuthors: options.coAuthors,
+      cache: options.cache,
+      resumeFrom: options.resume,
+      retryFailed: options.retryFailed,
+      checkpoint: !options.jsonStdout,
+      concurrency: options.concurrency,
+      maxCommits: options.maxCommits,
+      reworkDays: options.reworkDays,
+      branches: options.branches,
+      repoFilter: options.repoFilter,
+      config: config,
+      gitattributes: options.gitattributes,
+      period: period,
+      formats: options.formats,
+      outputDir: options.outputDir,
+      verbose: options.logLevel === 'verbose',
+      local: options.local,
+      clone: options.clone
+    });
+    
+    if (options.clearCache) {
+      const cache = calculator.cache || new CommitStatsCache();
+      await cache.clear();
+      console.log(`Cleared commit stats cache: ${cache.filePath}\n`);
+    }
+    
+    if (options.dryRun) {
+      const estimate = await calculator.estimateRun(targetRepo);
+      calculator.printEstimate(estimate);
+      if (options.jsonStdout) {
+        process.stdout.write(JSON.stringify(estimate, null, 2) + '\n');
+      }
+      return estimate.repositories.some(entry => entry.error) ? EXIT_CODES.partial : EXIT_CODES.success;
+    }
+    
     const results = await calculator.calculateLOCForYear(targetRepo);
     
     calculator.printSummary(results);
-    await calculator.saveResults(results);
+    if (options.jsonStdout) {
+      process.stdout.write(JSON.stringify(results, null, 2) + '\n');
+    } else {
+      await calculator.saveResults(results);
+    }
+    if (results.processingStatus.failed === 0) {
+      await calculator.removeCheckpoint();
+    } else if (calculator.useCheckpoint) {
+      console.log(`Retry the failed repositories with --retry-failed (checkpoint: ${calculator.checkpointFile})`);
+    }
     
     const duration = (Date.now() - calculator.startTime) / 1000 / 60;
     console.log(`\nAnalysis completed in ${duration.toFixed(1)} minutes`);
     
+    return results.processingStatus.failed > 0 ? EXIT_CODES.partial : EXIT_CODES.success;
   } catch (error) {
     console.error('Error during analysis:', error);
     if (error.status === 403) {
       console.error('\nThis might be a rate limiting issue. Try running again later or with a higher rate limit.');
     }
-    process.exit(1);
+    return EXIT_CODES.fatal;
   }
 }
 
 if (require.main === module) {
-  main();
+  // exitCode rather than exit(), so a report piped to stdout is flushed completely
+  main().then(code => { process.exitCode = code; });
 }
 
-module.exports = GitHubLOCCalculator;
\ No newline at end of file
+module.exports = GitHubLOCCalculator;
+module.exports.parseArgs = parseArgs;
+module.exports.main = main;
+module.exports.EXIT_CODES = EXIT_CODES;
+module.exports.compareReports = compareReports;
+module.exports.validateReport = validateReport;
+module.exports.upgradeReport = upgradeReport;
+module.exports.REPORT_SCHEMA_VERSION = REPORT_SCHEMA_VERSION;
+module.exports.formatComparisonText = formatComparisonText;
+module.exports.formatComparisonMarkdown = formatComparisonMarkdown;
+module.exports.CommitStatsCache = CommitStatsCache;
+module.exports.mapWithConcurrency = mapWithConcurrency;
+module.exports.resolvePeriod = resolvePeriod;
+module.exports.getIsoWeek = getIsoWeek;
+module.exports.REPORT_FORMATTERS = REPORT_FORMATTERS;
+module.exports.parseNumstatPath = parseNumstatPath;
+module.exports.globToRegExp = globToRegExp;
+module.exports.DEFAULT_CATEGORY_GLOBS = DEFAULT_CATEGORY_GLOBS;
+module.exports.parseGitAttributes = parseGitAttributes;
+module.exports.loadConfig = loadConfig;
+module.exports.DEFAULT_EXCLUDE_GLOBS = DEFAULT_EXCLUDE_GLOBS;
\ No newline at end of file
@@ -1,6 +1,28 @@
 // test-gh-loc-report.js
 const fs = require('fs').promises;
 
+// @octokit/rest is ESM-only, so the real calculator is loaded against a stub client
+jest.mock('@octokit/rest', () => ({
+  Octokit: class {
+    constructor() {
+      // Repositories have no .gitattributes unless a test says otherwise
+      this.rest = { repos: { getContent: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })) } };
+      this.hook = { wrap: jest.fn() };
+    }
+  }
+}), { virtual: true });
+
+const GitHubLOCCalculator = require('./gh-loc-report');
+const { parseArgs, main, EXIT_CODES, validateReport, upgradeReport, REPORT_SCHEMA_VERSION, compareReports, formatComparisonText, formatComparisonMarkdown, CommitStatsCache, mapWithConcurrency, resolvePeriod, getIsoWeek, parseNumstatPath, globToRegExp, loadConfig, parseGitAttributes, REPORT_FORMATTERS } = GitHubLOCCalculator;
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Stands in for iterateCommitPages, yielding each argument as one page of listed commits
+const commitPages = (...pages) => async function* () {
+  yield* pages;
+};
+
 // Mock the GitHubLOCCalculator class for testing
 class MockGitHubLOCCalculator {
   constructor(token, username, year = 2025) {
@@ -46,26 +68,6 @@ class MockGitHubLOCCalculator {
     };
   }
 
-  shouldIncludeFile(filename) {
-    const excludePatterns = [
-      /package-lock\.json$/,
-      /yarn\.lock$/,
-      /composer\.lock$/,
-      /^(dist|build|out|target|bin|obj)\//, 
-      /node_modules\//,
-      /vendor\//,
-      /__pycache__\//,
-      /\.pytest_cache\//,
-      /\.(jpg|jpeg|png|gif|svg|ico|pdf|zip|tar|gz|rar|7z|exe|dmg)$/,
-      /\.(mp4|avi|mov|wmv|mp3|wav|ogg)$/,
-      /\.(db|sqlite|sqlite3)$/,
-      /\.(log|logs)$/,
-      /^logs\//
-    ];
-    
-    return !excludePatterns.some(pattern => pattern.test(filename));
-  }
-
   async calculateLOCForYear(targetRepo = null) {
     const since = new Date(`${this.year}-01-01T00:00:00Z`);
     const until = new Date(`${this.year}-12-31T23:59:59Z`);
@@ -259,7 +261,12 @@ describe('GitHubLOCCalculator', () => {
     });
   });
 
+  // Exercises the real rules, so there is no second copy of the pattern list to drift
   describe('shouldIncludeFile', () => {
+    beforeEach(() => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, { cache: false });
+    });
+
     test('should exclude lock files', () => {
       expect(calculator.shouldIncludeFile('package-lock.json')).toBe(false);
       expect(calculator.shouldIncludeFile('yarn.lock')).toBe(false);
@@ -280,6 +287,2270 @@ describe('GitHubLOCCalculator', () => {
   });
 });
 
+describe('GitHubLOCCalculator (real implementation)', () => {
+  let calculator;
+  const checkpointFile = path.join(os.tmpdir(), `loc-checkpoint-${process.pid}.json`);
+  const testOptions = (options = {}) => ({ cache: false, checkpointFile, ...options });
+  
+  beforeEach(() => {
+    calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions());
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(checkpointFile, { force: true });
+    await fs.rm(checkpointFile.replace(/\.json$/, '.commits.jsonl'), { force: true });
+  });
+
+  describe('file type and language breakdown', () => {
+    test('should extract lower-case extensions', () => {
+      expect(calculator.getFileExtension('src/App.TSX')).toBe('tsx');
+      expect(calculator.getFileExtension('lib/a.test.js')).toBe('js');
+      expect(calculator.getFileExtension('Makefile')).toBe('(none)');
+      expect(calculator.getFileExtension('.eslintrc')).toBe('(none)');
+    });
+
+    test('should map files to languages', () => {
+      expect(calculator.getFileLanguage('src/index.ts')).toBe('TypeScript');
+      expect(calculator.getFileLanguage('cmd/main.go')).toBe('Go');
+      expect(calculator.getFileLanguage('docker/Dockerfile')).toBe('Dockerfile');
+      expect(calculator.getFileLanguage('data/blob.xyz')).toBe('Other');
+    });
+
+    test('should add up stats per extension and language in processRepository', async () => {
+      const repo = { name: 'repo1', full_name: 'test-user/repo1', owner: { login: 'test-user' }, size: 1024 };
+      calculator.iterateCommitPages = commitPages([{ sha: 'aaa' }, { sha: 'bbb' }]);
+      calculator.getCommitStatsWithRetry = jest.fn()
+        .mockResolvedValueOnce({
+          additions: 0, deletions: 0, total: 0, truncated: false,
+          files: [
+            { filename: 'src/a.js', additions: 10, deletions: 2 },
+            { filename: 'src/b.js', additions: 5, deletions: 1 },
+            { filename: 'package-lock.json', additions: 900, deletions: 900 }
+          ]
+        })
+        .mockResolvedValueOnce({
+          additions: 0, deletions: 0, total: 0, truncated: false,
+          files: [
+            { filename: 'src/c.ts', additions: 7, deletions: 0 },
+            { filename: 'src/d.js', additions: 1, deletions: 3 }
+          ]
+        });
+
+      const result = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(result.stats.fileTypeStats).toEqual({
+        js: { additions: 16, deletions: 6, commits: 2, files: 3 },
+        ts: { additions: 7, deletions: 0, commits: 1, files: 1 }
+      });
+      expect(result.stats.languageStats.JavaScript).toEqual({ additions: 16, deletions: 6, commits: 2, files: 3 });
+      expect(result.stats.languageStats.TypeScript.commits).toBe(1);
+    });
+
+    test('should merge repository breakdowns into year totals and repoStats', async () => {
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([
+        { name: 'repo1', full_name: 'test-user/repo1', owner: { login: 'test-user' }, size: 1 },
+        { name: 'repo2', full_name: 'test-user/repo2', owner: { login: 'test-user' }, size: 1 }
+      ]);
+      calculator.processRepository = jest.fn().mockResolvedValue({
+        success: true,
+        stats: {
+          additions: 10, deletions: 4, commits: 1, netLines: 6, truncatedCommits: 0,
+          fileTypeStats: { py: { additions: 10, deletions: 4, commits: 1, files: 2 } },
+          languageStats: { Python: { additions: 10, deletions: 4, commits: 1, files: 2 } }
+        }
+      });
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.fileTypeStats.py).toEqual({ additions: 20, deletions: 8, commits: 2, files: 4 });
+      expect(results.languageStats.Python.additions).toBe(20);
+      expect(results.repoStats[0].languageStats.Python.additions).toBe(10);
+      expect(calculator.generateTextSummary(results)).toContain('1. Python: +20 -8 lines (2 commits)');
+    });
+  });
+
+  describe('organization and multi-user modes', () => {
+    const repo = { name: 'svc', full_name: 'acme/svc', owner: { login: 'acme' }, size: 1 };
+    const file = (filename, additions, deletions) => ({ filename, additions, deletions });
+
+    beforeEach(() => {
+      calculator = new GitHubLOCCalculator('test-token', 'alice', 2025, testOptions({ org: 'acme', users: ['alice', 'Bob'] }));
+    });
+
+    test('should parse --org and --users arguments', () => {
+      expect(parseArgs(['--org', 'acme', '--users=alice, bob,', 'svc'])).toEqual({
+        command: 'report',
+        args: ['svc'],
+        help: false,
+        version: false,
+        targetRepo: 'svc',
+        user: null,
+        year: null,
+        org: 'acme',
+        users: ['alice', 'bob'],
+        coAuthors: 'none',
+        cache: true,
+        gitattributes: true,
+        clearCache: false,
+        resume: null,
+        retryFailed: false,
+        dryRun: false,
+        concurrency: 1,
+        maxCommits: null,
+        reworkDays: 21,
+        branches: 'default',
+        repoFilter: { forks: 'include', archived: 'include', visibility: null, owners: [], topics: [], repos: [], excludeRepos: [] },
+        since: null,
+        until: null,
+        quarter: null,
+        month: null,
+        last: null,
+        tz: null,
+        formats: ['json', 'txt'],
+        config: null,
+        local: null,
+        clone: false,
+        outputDir: './reports',
+        jsonStdout: false,
+        logLevel: 'normal'
+      });
+      expect(() => parseArgs(['--org'])).toThrow('Missing value for --org');
+      expect(() => parseArgs(['--nope'])).toThrow('Unknown option: --nope');
+    });
+
+    test('should list organization repositories', async () => {
+      calculator.octokit.rest.repos.listForOrg = jest.fn()
+        .mockResolvedValueOnce({ data: [repo] })
+        .mockResolvedValueOnce({ data: [] });
+
+      const repos = await calculator.getAllRepositories();
+
+      expect(repos).toEqual([repo]);
+      expect(calculator.octokit.rest.repos.listForOrg).toHaveBeenCalledWith(expect.objectContaining({ org: 'acme', page: 1 }));
+    });
+
+    test('should scan commits once without an author filter and keep only analyzed users', async () => {
+      calculator.octokit.rest.repos.listCommits = jest.fn()
+        .mockResolvedValueOnce({
+          data: [
+            { sha: '1', author: { login: 'alice' } },
+            { sha: '2', author: { login: 'bob' } },
+            { sha: '3', author: { login: 'mallory' } },
+            { sha: '4', author: null }
+          ]
+        })
+        .mockResolvedValueOnce({ data: [] });
+
+      const commits = [];
+      for await (const page of calculator.iterateCommitPages('acme', 'svc', new Date('2025-01-01'), new Date('2025-12-31'))) {
+        commits.push(...page);
+      }
+
+      expect(commits.map(commit => commit.sha)).toEqual(['1', '2']);
+      expect(calculator.octokit.rest.repos.listCommits.mock.calls[0][0]).not.toHaveProperty('author');
+    });
+
+    test('should report per-user totals and a team total', async () => {
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([repo]);
+      calculator.iterateCommitPages = commitPages([
+        { sha: '1', author: { login: 'alice' } },
+        { sha: '2', author: { login: 'bob' } },
+        { sha: '3', author: { login: 'alice' } }
+      ]);
+      calculator.getCommitStatsWithRetry = jest.fn()
+        .mockResolvedValueOnce({ total: 0, truncated: false, files: [file('a.js', 10, 1)] })
+        .mockResolvedValueOnce({ total: 0, truncated: false, files: [file('b.py', 20, 2)] })
+        .mockResolvedValueOnce({ total: 0, truncated: false, files: [file('c.js', 5, 0)] });
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.userStats.alice).toMatchObject({ totalAdditions: 15, totalDeletions: 1, netLines: 14, totalCommits: 2 });
+      expect(results.userStats.Bob).toMatchObject({ totalAdditions: 20, totalDeletions: 2, totalCommits: 1 });
+      expect(results.userStats.Bob.languageStats.Python.additions).toBe(20);
+      expect(results.userStats.alice.repoStats).toEqual([{
+        name: 'acme/svc', additions: 15, deletions: 1, netLines: 14, commits: 2,
+        fileTypeStats: { js: { additions: 15, deletions: 1, files: 2, commits: 2 } },
+        languageStats: { JavaScript: { additions: 15, deletions: 1, files: 2, commits: 2 } }
+      }]);
+      expect(results.teamStats).toEqual({ members: 2, totalAdditions: 35, totalDeletions: 3, netLines: 32, totalCommits: 3 });
+      expect(calculator.getReportLabel()).toBe('acme');
+    });
+  });
+
+  describe('commit stats cache', () => {
+    let cacheDir;
+    const commitResponse = {
+      data: {
+        stats: { additions: 12, deletions: 3, total: 15 },
+        files: [{ filename: 'src/a.js', additions: 12, deletions: 3, patch: '@@ ...' }]
+      }
+    };
+
+    beforeEach(async () => {
+      cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-cache-'));
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, { cacheDir });
+      calculator.octokit.rest.repos.getCommit = jest.fn().mockResolvedValue(commitResponse);
+    });
+
+    afterEach(async () => {
+      await fs.rm(cacheDir, { recursive: true, force: true });
+    });
+
+    test('should skip the API call for cached commits', async () => {
+      const first = await calculator.getCommitStatsWithRetry('acme', 'svc', 'abc123');
+      const second = await calculator.getCommitStatsWithRetry('acme', 'svc', 'abc123');
+
+      expect(second).toEqual(first);
+      expect(first.files).toEqual([{ filename: 'src/a.js', additions: 12, deletions: 3 }]);
+      expect(calculator.octokit.rest.repos.getCommit).toHaveBeenCalledTimes(1);
+      expect(calculator.cacheHits).toBe(1);
+    });
+
+    test('should persist entries across runs and survive a torn last line', async () => {
+      await calculator.getCommitStatsWithRetry('acme', 'svc', 'abc123');
+      await fs.appendFile(path.join(cacheDir, 'commit-stats.jsonl'), '{"key":"acme/svc@tor');
+
+      const cache = new CommitStatsCache(cacheDir);
+      expect(await cache.get('acme/svc@abc123')).toMatchObject({ additions: 12, deletions: 3 });
+      expect(cache.size).toBe(1);
+
+      await cache.clear();
+      expect(await new CommitStatsCache(cacheDir).get('acme/svc@abc123')).toBeNull();
+    });
+
+    test('should serve every commit of a full cache to concurrent lookups', async () => {
+      const shas = Array.from({ length: 8 }, (_, i) => `sha${i}`);
+      for (const sha of shas) {
+        await calculator.getCommitStatsWithRetry('acme', 'svc', sha);
+      }
+      const cacheFile = path.join(cacheDir, 'commit-stats.jsonl');
+      const written = await fs.readFile(cacheFile, 'utf8');
+
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, { cacheDir, concurrency: 4 });
+      calculator.octokit.rest.repos.getCommit = jest.fn().mockResolvedValue(commitResponse);
+      await mapWithConcurrency(shas, calculator.concurrency, sha => calculator.getCommitStatsWithRetry('acme', 'svc', sha));
+
+      expect(calculator.octokit.rest.repos.getCommit).not.toHaveBeenCalled();
+      expect(calculator.cacheHits).toBe(8);
+      expect(await fs.readFile(cacheFile, 'utf8')).toBe(written);
+    });
+
+    test('should not cache when disabled', async () => {
+      calculator.cache = null;
+      await calculator.getCommitStatsWithRetry('acme', 'svc', 'abc123');
+      await calculator.getCommitStatsWithRetry('acme', 'svc', 'abc123');
+
+      expect(calculator.octokit.rest.repos.getCommit).toHaveBeenCalledTimes(2);
+    });
+
+    test('should parse cache options', () => {
+      expect(parseArgs(['--no-cache', '--clear-cache'])).toMatchObject({ cache: false, clearCache: true });
+    });
+  });
+
+  describe('checkpointing and resume', () => {
+    const repos = ['one', 'two', 'three'].map(name => ({
+      name, full_name: `test-user/${name}`, owner: { login: 'test-user' }, size: 1
+    }));
+    const success = { success: true, stats: { additions: 10, deletions: 5, commits: 1, netLines: 5 } };
+
+    beforeEach(() => {
+      calculator.getAllRepositories = jest.fn().mockResolvedValue(repos);
+    });
+
+    test('should write a checkpoint after every repository', async () => {
+      const snapshots = [];
+      calculator.processRepository = jest.fn(async () => {
+        snapshots.push(await fs.readFile(checkpointFile, 'utf8').then(JSON.parse, () => null));
+        return success;
+      });
+
+      await calculator.calculateLOCForYear();
+      const checkpoint = JSON.parse(await fs.readFile(checkpointFile, 'utf8'));
+
+      expect(snapshots[0]).toBeNull();
+      expect(snapshots[2].completedRepos).toEqual(['test-user/one', 'test-user/two']);
+      expect(snapshots[2].results.totalAdditions).toBe(20);
+      expect(checkpoint.completedRepos).toHaveLength(3);
+      expect(checkpoint).toMatchObject({ label: 'test-user', period: '2025' });
+    });
+
+    test('should skip finished repositories when resuming', async () => {
+      calculator.processRepository = jest.fn()
+        .mockResolvedValueOnce(success)
+        .mockResolvedValueOnce({ success: false, error: 'boom', stats: {} })
+        .mockRejectedValueOnce(new Error('killed'));
+      await expect(calculator.calculateLOCForYear()).rejects.toThrow('killed');
+
+      const resumed = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ resumeFrom: checkpointFile }));
+      resumed.getAllRepositories = jest.fn().mockResolvedValue(repos);
+      resumed.processRepository = jest.fn().mockResolvedValue(success);
+      const results = await resumed.calculateLOCForYear();
+
+      expect(resumed.processRepository).toHaveBeenCalledTimes(1);
+      expect(resumed.processRepository.mock.calls[0][0].name).toBe('three');
+      expect(results.totalAdditions).toBe(20);
+      expect(results.processingStatus).toEqual({ successful: 2, failed: 1, failedRepos: ['test-user/two'] });
+    });
+
+    test('should reprocess failed repositories with retryFailed', async () => {
+      calculator.processRepository = jest.fn()
+        .mockResolvedValueOnce(success)
+        .mockResolvedValueOnce({ success: false, error: 'boom', stats: {} })
+        .mockResolvedValueOnce(success);
+      await calculator.calculateLOCForYear();
+
+      const retry = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ retryFailed: true }));
+      retry.getAllRepositories = jest.fn().mockResolvedValue(repos);
+      retry.processRepository = jest.fn().mockResolvedValue(success);
+      const results = await retry.calculateLOCForYear();
+
+      expect(retry.resumeFrom).toBe(checkpointFile);
+      expect(retry.processRepository.mock.calls.map(([repo]) => repo.name)).toEqual(['two']);
+      expect(results.totalAdditions).toBe(30);
+      expect(results.processingStatus).toEqual({ successful: 3, failed: 0, failedRepos: [] });
+    });
+
+    test('should refuse a checkpoint from a different run', async () => {
+      calculator.processRepository = jest.fn().mockResolvedValue(success);
+      await calculator.calculateLOCForYear();
+
+      const other = new GitHubLOCCalculator('test-token', 'test-user', 2024, testOptions({ resumeFrom: checkpointFile }));
+      other.getAllRepositories = jest.fn().mockResolvedValue(repos);
+
+      await expect(other.calculateLOCForYear()).rejects.toThrow('was created for test-user (2025), not test-user (2024)');
+    });
+
+    test('should refuse a checkpoint counted for other users or with other settings', async () => {
+      const run = options => {
+        const team = new GitHubLOCCalculator('test-token', 'bob', 2025, testOptions(options));
+        team.getAllRepositories = jest.fn().mockResolvedValue(repos);
+        team.processRepository = jest.fn().mockResolvedValue(success);
+        return team.calculateLOCForYear();
+      };
+      await run({ users: ['bob', 'zed'] });
+      expect(JSON.parse(await fs.readFile(checkpointFile, 'utf8')).settings).toMatchObject({ users: ['bob', 'zed'], branches: 'default', coAuthors: 'none' });
+
+      await expect(run({ users: ['alice', 'bob'], resumeFrom: checkpointFile }))
+        .rejects.toThrow(`Checkpoint '${checkpointFile}' was created with users bob, zed, not users alice, bob; start a new run instead of resuming`);
+      await expect(run({ users: ['Zed', 'bob'], branches: 'all', resumeFrom: checkpointFile })).rejects.toThrow('was created with --branches default, not --branches all');
+      await expect(run({ users: ['bob', 'zed'], coAuthors: 'split', resumeFrom: checkpointFile })).rejects.toThrow('was created with --co-authors none, not --co-authors split');
+      await expect(run({ users: ['bob', 'zed'], config: { source: 'x.json', exclude: ['*.md'] }, resumeFrom: checkpointFile }))
+        .rejects.toThrow('was created with the file rules of built-in, not the file rules of x.json');
+      await expect(run({ users: ['zed', 'bob'], resumeFrom: checkpointFile })).resolves.toMatchObject({ totalAdditions: 30 });
+    });
+  });
+
+  describe('rate limiting', () => {
+    const headers = (remaining, resetInSeconds = 60, extra = {}) => ({
+      'x-ratelimit-limit': '5000',
+      'x-ratelimit-remaining': String(remaining),
+      'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + resetInSeconds),
+      ...extra
+    });
+    const rateLimitError = (status, message, responseHeaders) =>
+      Object.assign(new Error(message), { status, response: { headers: responseHeaders } });
+
+    beforeEach(() => {
+      calculator.sleep = jest.fn().mockResolvedValue();
+    });
+
+    test('should route every Octokit request through the throttle', () => {
+      expect(calculator.octokit.hook.wrap).toHaveBeenCalledWith('request', expect.any(Function));
+    });
+
+    test('should not delay requests while budget remains', async () => {
+      const request = jest.fn().mockResolvedValue({ data: [], headers: headers(4999) });
+
+      await calculator.throttleRequest(request, {});
+      await calculator.throttleRequest(request, {});
+
+      expect(calculator.sleep).not.toHaveBeenCalled();
+      expect(calculator.requestCount).toBe(2);
+      expect(calculator.rateLimit.remaining).toBe(4999);
+    });
+
+    test('should sleep until reset once the budget is used up', async () => {
+      const request = jest.fn()
+        .mockResolvedValueOnce({ data: [], headers: headers(0, 120) })
+        .mockResolvedValueOnce({ data: [], headers: headers(5000) });
+
+      await calculator.throttleRequest(request, {});
+      await calculator.throttleRequest(request, {});
+
+      expect(calculator.sleep).toHaveBeenCalledTimes(1);
+      const waited = calculator.sleep.mock.calls[0][0];
+      expect(waited).toBeGreaterThan(115000);
+      expect(waited).toBeLessThanOrEqual(121000);
+      expect(calculator.rateLimitWaitMs).toBe(waited);
+    });
+
+    test('should honour retry-after on secondary rate limits', async () => {
+      const request = jest.fn()
+        .mockRejectedValueOnce(rateLimitError(403, 'You have exceeded a secondary rate limit', headers(4000, 60, { 'retry-after': '30' })))
+        .mockResolvedValueOnce({ data: 'ok', headers: headers(3999) });
+
+      const response = await calculator.throttleRequest(request, {});
+
+      expect(response.data).toBe('ok');
+      expect(calculator.sleep).toHaveBeenCalledWith(30000);
+    });
+
+    test('should back off exponentially on abuse detection without retry-after', () => {
+      const error = rateLimitError(403, 'You have exceeded a secondary rate limit', {});
+
+      expect(calculator.getRateLimitDelay(error, 1)).toBe(60000);
+      expect(calculator.getRateLimitDelay(error, 3)).toBe(240000);
+    });
+
+    test('should rethrow 403s that are not rate limits', async () => {
+      const request = jest.fn().mockRejectedValue(rateLimitError(403, 'Resource not accessible by integration', headers(4000)));
+
+      await expect(calculator.throttleRequest(request, {})).rejects.toThrow('Resource not accessible');
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(calculator.sleep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('concurrent commit fetching', () => {
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    test('should bound in-flight work and keep input order', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      const results = await mapWithConcurrency([30, 5, 20, 1, 10, 2], 3, async (ms, index) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await delay(ms);
+        inFlight--;
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2, 3, 4, 5]);
+      expect(maxInFlight).toBe(3);
+    });
+
+    test('should produce the same repository stats as a serial run', async () => {
+      const repo = { name: 'repo1', full_name: 'test-user/repo1', owner: { login: 'test-user' }, size: 1 };
+      const commits = Array.from({ length: 12 }, (_, i) => ({ sha: `sha${i}` }));
+      const extensions = ['js', 'py', 'go', 'rb'];
+      const fetchStats = async (owner, name, sha) => {
+        const i = parseInt(sha.slice(3), 10);
+        await delay((12 - i) % 5);
+        return { total: 0, truncated: false, files: [{ filename: `f${i}.${extensions[i % 4]}`, additions: i, deletions: 1 }] };
+      };
+
+      const run = async concurrency => {
+        const instance = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ concurrency }));
+        instance.iterateCommitPages = commitPages(commits);
+        instance.getCommitStatsWithRetry = jest.fn(fetchStats);
+        return instance.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+      };
+
+      const serial = await run(1);
+      const parallel = await run(4);
+
+      expect(JSON.stringify(parallel)).toBe(JSON.stringify(serial));
+      expect(serial.stats.additions).toBe(66);
+    });
+
+    test('should parse --concurrency', () => {
+      expect(parseArgs(['--concurrency', '8']).concurrency).toBe(8);
+      expect(() => parseArgs(['--concurrency', '0'])).toThrow('--concurrency must be a positive integer');
+    });
+  });
+
+  describe('analysis periods', () => {
+    const iso = period => [period.label, period.since.toISOString(), period.until.toISOString()];
+
+    test('should default to the calendar year in UTC', () => {
+      expect(iso(resolvePeriod({ year: 2024 }))).toEqual(['2024', '2024-01-01T00:00:00.000Z', '2024-12-31T23:59:59.999Z']);
+    });
+
+    test('should resolve quarters and months in a time zone', () => {
+      expect(iso(resolvePeriod({ quarter: '2025Q3', tz: 'America/New_York' })))
+        .toEqual(['2025Q3', '2025-07-01T04:00:00.000Z', '2025-10-01T03:59:59.999Z']);
+      expect(iso(resolvePeriod({ month: '2025-12', tz: 'Europe/Berlin' })))
+        .toEqual(['2025-12', '2025-11-30T23:00:00.000Z', '2025-12-31T22:59:59.999Z']);
+    });
+
+    test('should treat date-only --since/--until as whole local days', () => {
+      expect(iso(resolvePeriod({ since: '2025-03-01', until: '2025-03-31', tz: 'America/Los_Angeles' })))
+        .toEqual(['2025-03-01_2025-03-31', '2025-03-01T08:00:00.000Z', '2025-04-01T06:59:59.999Z']);
+    });
+
+    test('should count --last back from now', () => {
+      const now = new Date('2025-10-19T12:00:00Z');
+      expect(iso(resolvePeriod({ last: '90d' }, now))).toEqual(['2025-07-21_2025-10-19', '2025-07-21T12:00:00.000Z', '2025-10-19T12:00:00.000Z']);
+      expect(resolvePeriod({ last: '2w' }, now).since.toISOString()).toBe('2025-10-05T12:00:00.000Z');
+    });
+
+    test('should reject invalid or conflicting period options', () => {
+      expect(() => resolvePeriod({ quarter: '2025Q5' })).toThrow('Invalid quarter');
+      expect(() => resolvePeriod({ month: '2025-13' })).toThrow('Invalid month');
+      expect(() => resolvePeriod({ month: '2025-01', last: '30d' })).toThrow('Use only one of');
+      expect(() => resolvePeriod({ until: '2025-01-01' })).toThrow('--until requires --since');
+      expect(() => resolvePeriod({ tz: 'Mars/Olympus' })).toThrow("Unknown time zone 'Mars/Olympus'");
+    });
+
+    test('should reject calendar dates that do not exist instead of rolling them over', () => {
+      expect(() => resolvePeriod({ since: '2025-13-01' })).toThrow("Invalid date '2025-13-01': 2025-13-01 does not exist");
+      expect(() => resolvePeriod({ since: '2025-01-01', until: '2025-02-30' })).toThrow("Invalid date '2025-02-30'");
+      expect(() => resolvePeriod({ since: '2025-02-29T10:00:00Z' })).toThrow('2025-02-29 does not exist');
+      expect(resolvePeriod({ since: '2024-02-29', until: '2024-02-29' }).label).toBe('2024-02-29_2024-02-29');
+    });
+
+    test('should query and label reports with the resolved period', async () => {
+      const period = resolvePeriod({ quarter: '2025Q2' });
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ period }));
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([{ name: 'r', full_name: 'test-user/r', owner: { login: 'test-user' }, size: 1 }]);
+      calculator.processRepository = jest.fn().mockResolvedValue({ success: true, stats: { additions: 1, deletions: 0, commits: 1, netLines: 1 } });
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(calculator.processRepository.mock.calls[0].slice(1)).toEqual([period.since, period.until]);
+      expect(results.period).toEqual({ label: '2025Q2', since: '2025-04-01T00:00:00.000Z', until: '2025-06-30T23:59:59.999Z', timeZone: 'UTC' });
+      expect(calculator.generateTextSummary(results)).toContain('Analysis for test-user (2025Q2)\n');
+      expect(calculator.generateTextSummary(results)).toContain('Period: 2025-04-01 to 2025-06-30 (UTC)');
+    });
+  });
+
+  describe('time series', () => {
+    const repo = { name: 'repo1', full_name: 'test-user/repo1', owner: { login: 'test-user' }, size: 1 };
+    const commitOn = (sha, date) => ({ sha, commit: { author: { date } } });
+
+    test('should compute ISO weeks across year boundaries', () => {
+      expect(getIsoWeek('2025-01-01')).toBe('2025-W01');
+      expect(getIsoWeek('2024-12-30')).toBe('2025-W01');
+      expect(getIsoWeek('2021-01-03')).toBe('2020-W53');
+      expect(getIsoWeek('2025-06-15')).toBe('2025-W24');
+    });
+
+    test('should bucket commits by month and week in processRepository', async () => {
+      calculator.iterateCommitPages = commitPages([
+        commitOn('a', '2025-03-03T10:00:00Z'),
+        commitOn('b', '2025-03-04T10:00:00Z'),
+        commitOn('c', '2025-05-20T10:00:00Z')
+      ]);
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({
+        total: 0, truncated: false, files: [{ filename: 'a.js', additions: 10, deletions: 4 }]
+      });
+
+      const { stats } = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(stats.timeSeries.monthly).toEqual({
+        '2025-03': { additions: 20, deletions: 8, netLines: 12, commits: 2 },
+        '2025-05': { additions: 10, deletions: 4, netLines: 6, commits: 1 }
+      });
+      expect(Object.keys(stats.timeSeries.weekly)).toEqual(['2025-W10', '2025-W21']);
+    });
+
+    test('should bucket by the committer date the period filter uses', async () => {
+      calculator.iterateCommitPages = commitPages([
+        { sha: 'a', commit: { author: { date: '2024-12-20T10:00:00Z' }, committer: { date: '2025-01-08T10:00:00Z' } } }
+      ]);
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({
+        total: 0, truncated: false, files: [{ filename: 'a.js', additions: 10, deletions: 4 }]
+      });
+
+      const { stats } = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(Object.keys(stats.timeSeries.monthly)).toEqual(['2025-01']);
+      expect(Object.keys(stats.timeSeries.weekly)).toEqual(['2025-W02']);
+    });
+
+    test('should use the analysis time zone for bucket boundaries', () => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({
+        period: resolvePeriod({ year: 2025, tz: 'Asia/Tokyo' })
+      }));
+
+      expect(calculator.getTimeBuckets(new Date('2025-03-31T20:00:00Z')).month).toBe('2025-04');
+    });
+
+    test('should zero-fill the year totals and chart every month', async () => {
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([repo]);
+      calculator.processRepository = jest.fn().mockResolvedValue({
+        success: true,
+        stats: {
+          additions: 30, deletions: 0, commits: 2, netLines: 30,
+          timeSeries: {
+            monthly: { '2025-02': { additions: 30, deletions: 0, netLines: 30, commits: 2 } },
+            weekly: { '2025-W07': { additions: 30, deletions: 0, netLines: 30, commits: 2 } }
+          }
+        }
+      });
+
+      const results = await calculator.calculateLOCForYear();
+      const summary = calculator.generateTextSummary(results);
+
+      expect(Object.keys(results.timeSeries.monthly)).toHaveLength(12);
+      expect(results.timeSeries.monthly['2025-02'].additions).toBe(30);
+      expect(results.timeSeries.weekly['2025-W07'].commits).toBe(2);
+      expect(Object.keys(results.timeSeries.weekly)).toHaveLength(53);
+      expect(results.repoStats[0].timeSeries.monthly['2025-02'].netLines).toBe(30);
+      expect(summary).toContain(`2025-02 |${'#'.repeat(40)}| +30 -0 (2 commits)`);
+      expect(summary).toContain(`2025-03 |${'.'.repeat(40)}| +0 -0 (0 commits)`);
+    });
+  });
+
+  describe('HTML report', () => {
+    const buildResults = async () => {
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([
+        { name: 'web', full_name: 'test-user/<web>', owner: { login: 'test-user' }, size: 2048 },
+        { name: 'api', full_name: 'test-user/api', owner: { login: 'test-user' }, size: 1024 }
+      ]);
+      calculator.processRepository = jest.fn()
+        .mockResolvedValueOnce({
+          success: true,
+          stats: {
+            additions: 120, deletions: 20, commits: 3, netLines: 100, truncatedCommits: 2,
+            fileTypeStats: { ts: { additions: 120, deletions: 20, commits: 3, files: 5 } },
+            languageStats: { TypeScript: { additions: 120, deletions: 20, commits: 3, files: 5 } }
+          }
+        })
+        .mockResolvedValueOnce({ success: false, error: 'boom', stats: {} });
+      return calculator.calculateLOCForYear();
+    };
+
+    test('should render totals, a sortable repository table and charts', async () => {
+      const html = calculator.generateHtmlReport(await buildResults());
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<div class="value added">+120</div>');
+      expect(html).toContain('<td data-value="test-user/&lt;web&gt;">test-user/&lt;web&gt;</td>');
+      expect(html).toContain('<th data-type="number">Added</th>');
+      expect(html).toContain('<tr class="truncated">');
+      expect(html).toMatch(/<svg class="chart"[^>]*>.*>\.ts<\/text>/);
+      expect(html).toContain('addEventListener');
+    });
+
+    test('should flag failed repositories and truncation warnings', async () => {
+      const html = calculator.generateHtmlReport(await buildResults());
+
+      expect(html).toContain('<div class="alert error"><strong>1 repository failed to process</strong><ul><li>test-user/api</li></ul>');
+      expect(html).toContain('<strong>2 commits had truncated data due to size</strong><ul><li>test-user/&lt;web&gt;: 2</li></ul>');
+    });
+
+    test('should be self-contained', async () => {
+      const html = calculator.generateHtmlReport(await buildResults());
+
+      expect(html).not.toMatch(/<(script|link|img)[^>]+(src|href)=/);
+      expect(html).not.toMatch(/https?:\/\//);
+    });
+
+  });
+
+  describe('output formats', () => {
+    const results = () => {
+      const base = calculator.createEmptyResults();
+      calculator.addRepositoryResult(base, { full_name: 'acme/web', size: 10 }, {
+        additions: 50, deletions: 5, commits: 2, netLines: 45,
+        languageStats: { 'C#': { additions: 50, deletions: 5, commits: 2, files: 3 } }
+      });
+      calculator.addRepositoryResult(base, { full_name: 'acme/a|b', size: 20 }, { additions: 70, deletions: 0, commits: 1, netLines: 70 });
+      base.netLines = base.totalAdditions - base.totalDeletions;
+      return base;
+    };
+
+    test('should parse a list of formats', () => {
+      expect(parseArgs([]).formats).toEqual(['json', 'txt']);
+      expect(parseArgs(['--format', 'json, csv,md,csv']).formats).toEqual(['json', 'csv', 'md']);
+      expect(parseArgs(['--format', 'html']).formats).toEqual(['html']);
+      expect(() => parseArgs(['--format', 'json,pdf'])).toThrow("Unknown format 'pdf'");
+    });
+
+    test('should write one CSV row per repository with every repoStats field', () => {
+      const [header, first, second] = calculator.generateCsv(results()).trim().split('\n');
+
+      expect(header).toBe('name,additions,deletions,netLines,commits,sizeKB,truncatedCommits,recoveredCommits,duplicateCommits,fileTypeStats,languageStats,categoryStats,authorMatches,timeSeries');
+      expect(first).toMatch(/^acme\/web,50,5,45,2,10,0,0,0,\{\},"\{""C#"":\{""additions"":50/);
+      expect(second).toMatch(/^acme\/a\|b,70,0,70,1,20,0,/);
+    });
+
+    test('should render Markdown with GFM tables', () => {
+      const markdown = calculator.generateMarkdownSummary(results());
+
+      expect(markdown).toContain('# GitHub Lines of Code: test-user (2025)');
+      expect(markdown).toContain('| Metric | Value |\n| --- | ---: |\n| Lines added | +120 |');
+      expect(markdown).toContain('| acme/a\\|b | +70 | -0 | 70 | 1 | n/a |\n| acme/web | +50 |');
+      expect(markdown).toContain('| C# | +50 | -5 | 2 |');
+      expect(markdown).toContain('| 2025-01 | +0 | -0 | 0 | 0 |');
+    });
+
+    test('should share top-10 ordering without reordering repoStats', () => {
+      const data = results();
+
+      expect(calculator.getTopRepositories(data).map(repo => repo.name)).toEqual(['acme/a|b', 'acme/web']);
+      calculator.generateTextSummary(data);
+      calculator.printSummary(data);
+      expect(data.repoStats.map(repo => repo.name)).toEqual(['acme/web', 'acme/a|b']);
+    });
+
+    test('should print the txt formatter output as the console summary', () => {
+      const data = results();
+
+      calculator.printSummary(data);
+
+      expect(console.log).toHaveBeenCalledWith('\n' + REPORT_FORMATTERS.txt.render(calculator, data).trimEnd());
+    });
+
+    test('should write one file per selected format', async () => {
+      const cwd = process.cwd();
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-reports-'));
+      try {
+        process.chdir(dir);
+        calculator.formats = ['json', 'csv', 'md'];
+        const files = await calculator.saveResults(results());
+
+        expect(Object.keys(files)).toEqual(['json', 'csv', 'md']);
+        expect(files.csv).toMatch(/^\.\/reports\/github-loc-repos-test-user-2025-.*\.csv$/);
+        expect(JSON.parse(await fs.readFile(files.json, 'utf8')).totalAdditions).toBe(120);
+        expect(await fs.readdir(path.join(dir, 'reports'))).toHaveLength(3);
+      } finally {
+        process.chdir(cwd);
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('local git mode', () => {
+    let repoDir;
+    const git = (args, env = {}) => execFileSync('git', args, {
+      cwd: repoDir,
+      env: { ...process.env, GIT_CONFIG_NOSYSTEM: '1', HOME: repoDir, ...env }
+    });
+    const commitAs = (name, email, date, message) => git(
+      ['-c', `user.name=${name}`, '-c', `user.email=${email}`, 'commit', '-q', '-m', message],
+      { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+    );
+    const write = (file, content) => {
+      require('fs').mkdirSync(path.dirname(path.join(repoDir, file)), { recursive: true });
+      require('fs').writeFileSync(path.join(repoDir, file), content);
+    };
+
+    beforeEach(async () => {
+      repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-fixture-'));
+      git(['init', '-q']);
+      write('src/app.js', 'a\nb\nc\n');
+      write('package-lock.json', '{\n}\n');
+      git(['add', '-A']);
+      commitAs('alice', 'alice@example.com', '2025-02-03T10:00:00Z', 'initial');
+      git(['mv', 'src/app.js', 'src/main.js']);
+      write('src/main.js', 'a\nb\nc\nd\n');
+      write('lib/util.py', 'x = 1\n');
+      git(['add', '-A']);
+      commitAs('Bob Builder', '1234+bob@users.noreply.github.com', '2025-05-10T10:00:00Z', 'rename');
+      write('src/main.js', 'a\n');
+      git(['add', '-A']);
+      commitAs('alice', 'alice@example.com', '2024-12-31T10:00:00Z', 'last year');
+    });
+
+    afterEach(async () => {
+      await fs.rm(repoDir, { recursive: true, force: true });
+    });
+
+    test('should keep the new path of renamed files', () => {
+      expect(parseNumstatPath('src/{app.js => main.js}')).toBe('src/main.js');
+      expect(parseNumstatPath('{old => new}/file.js')).toBe('new/file.js');
+      expect(parseNumstatPath('src/{ => nested}/file.js')).toBe('src/nested/file.js');
+      expect(parseNumstatPath('a.js => b.js')).toBe('b.js');
+      expect(parseNumstatPath('plain.js')).toBe('plain.js');
+    });
+
+    test('should produce the normal results structure from git log', async () => {
+      calculator = new GitHubLOCCalculator(null, 'alice', 2025, testOptions({ local: repoDir }));
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.analysisMode).toBe('local');
+      expect(results.repoStats[0]).toMatchObject({ name: `local/${path.basename(repoDir)}`, additions: 3, deletions: 0, commits: 1 });
+      expect(results.fileTypeStats).toEqual({ js: { additions: 3, deletions: 0, commits: 1, files: 1 } });
+      expect(results.timeSeries.monthly['2025-02'].commits).toBe(1);
+      expect(results.runtimeStats.totalApiCalls).toBe(0);
+    });
+
+    test('should hand commits on in batches while git log is still running', async () => {
+      const ref = git(['symbolic-ref', 'HEAD']).toString().trim();
+      let stream = `reset ${ref}\nfrom ${git(['rev-parse', 'HEAD']).toString().trim()}\n\n`;
+      for (let i = 0; i < 1100; i++) {
+        const when = `${Date.parse('2025-03-01T00:00:00Z') / 1000 + i * 60} +0000`;
+        stream += `commit ${ref}\nauthor alice <alice@example.com> ${when}\ncommitter alice <alice@example.com> ${when}\ndata 1\nx\n` +
+          `M 644 inline batch.txt\ndata ${String(i).length + 1}\n${i}\n\n`;
+      }
+      execFileSync('git', ['fast-import', '--quiet'], { cwd: repoDir, input: stream });
+      calculator = new GitHubLOCCalculator(null, 'alice', 2025, testOptions({ local: repoDir }));
+      const events = [];
+      const iterateGitLines = calculator.iterateGitLines;
+      jest.spyOn(calculator, 'iterateGitLines').mockImplementation(async function* (args, ...rest) {
+        yield* iterateGitLines.call(this, args, ...rest);
+        if (args[0] === 'log') events.push('log done');
+      });
+      const readLocalCommitStats = calculator.readLocalCommitStats;
+      jest.spyOn(calculator, 'readLocalCommitStats').mockImplementation(function (owner, repo, repoPath, batch) {
+        events.push(`batch ${batch.length}`);
+        return readLocalCommitStats.call(this, owner, repo, repoPath, batch);
+      });
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.repoStats[0].commits).toBe(1101);
+      expect(events).toEqual(['batch 500', 'batch 500', 'log done', 'batch 101']);
+      expect(calculator.localCommitStats.size).toBe(0);
+    });
+
+    test('should match users by name or noreply address and follow renames', async () => {
+      calculator = new GitHubLOCCalculator(null, 'alice', 2025, testOptions({ local: repoDir, users: ['alice', 'bob'] }));
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.userStats.bob).toMatchObject({ totalAdditions: 2, totalDeletions: 0, totalCommits: 1 });
+      expect(results.userStats.bob.fileTypeStats).toEqual({
+        js: { additions: 1, deletions: 0, commits: 1, files: 1 },
+        py: { additions: 1, deletions: 0, commits: 1, files: 1 }
+      });
+      expect(results.teamStats.totalCommits).toBe(2);
+    });
+
+    test('should credit co-authors from commit trailers', async () => {
+      write('src/pair.js', 'p\nq\n');
+      git(['add', '-A']);
+      commitAs('carol', 'carol@example.com', '2025-06-01T10:00:00Z', 'pairing\n\nCo-authored-by: alice <alice@example.com>');
+      calculator = new GitHubLOCCalculator(null, 'alice', 2025, testOptions({ local: repoDir, coAuthors: 'full' }));
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.totalCommits).toBe(2);
+      expect(results.authorMatches).toEqual({ name: 1, coAuthor: 1 });
+    });
+
+    test('should read linguist markers from .gitattributes in HEAD', async () => {
+      write('.gitattributes', 'lib/** linguist-vendored\n');
+      git(['add', '-A']);
+      commitAs('alice', 'alice@example.com', '2026-01-05T10:00:00Z', 'mark vendored code');
+      calculator = new GitHubLOCCalculator(null, 'alice', 2025, testOptions({ local: repoDir, users: ['alice', 'bob'] }));
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.userStats.bob).toMatchObject({ totalAdditions: 1, totalCommits: 1 });
+      expect(results.languageStats.Python).toBeUndefined();
+    });
+
+    test('should reject a path that is not a git repository', async () => {
+      calculator = new GitHubLOCCalculator(null, 'alice', 2025, testOptions({ local: path.join(repoDir, 'missing') }));
+
+      await expect(calculator.calculateLOCForYear()).rejects.toThrow('git rev-parse failed');
+    });
+
+    test('should pass the token to git clone and fetch through the environment, not argv', async () => {
+      const cloneDir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-clones-'));
+      calculator = new GitHubLOCCalculator('secret-token', 'alice', 2025, testOptions({ cloneDir }));
+      const runGit = jest.spyOn(calculator, 'runGit');
+      const repo = { full_name: 'acme/svc', clone_url: repoDir };
+
+      try {
+        const clonePath = await calculator.ensureClone(repo);
+        await calculator.ensureClone(repo);
+
+        expect(clonePath).toBe(path.join(cloneDir, 'acme/svc.git'));
+        expect(runGit.mock.calls.map(([args]) => args[0])).toEqual(['clone', 'fetch']);
+        const header = `Authorization: Basic ${Buffer.from('x-access-token:secret-token').toString('base64')}`;
+        runGit.mock.calls.forEach(([args, cwd, env]) => {
+          expect(args.join(' ')).not.toContain(Buffer.from('x-access-token:secret-token').toString('base64'));
+          expect(env).toEqual({ GIT_CONFIG_COUNT: '1', GIT_CONFIG_KEY_0: 'http.extraHeader', GIT_CONFIG_VALUE_0: header });
+        });
+        expect(await fs.readFile(path.join(clonePath, 'config'), 'utf8')).not.toContain('extraHeader');
+      } finally {
+        await fs.rm(cloneDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should parse --local and --clone', () => {
+      expect(parseArgs(['--local', '/src/monorepo'])).toMatchObject({ local: '/src/monorepo', clone: false });
+      expect(parseArgs(['--org', 'acme', '--clone'])).toMatchObject({ org: 'acme', clone: true });
+    });
+  });
+
+  describe('commits with more than 300 files', () => {
+    const fileList = (prefix, count, additions = 1) =>
+      Array.from({ length: count }, (_, i) => ({ filename: `${prefix}/${i}.js`, additions, deletions: 0 }));
+    const commitPage = (files, total, extra = {}) => ({
+      data: { stats: { additions: total, deletions: 0, total }, files, parents: [{ sha: 'parent' }], ...extra }
+    });
+
+    beforeEach(() => {
+      calculator.sleep = jest.fn().mockResolvedValue();
+    });
+
+    test('should page through the full file list', async () => {
+      calculator.octokit.rest.repos.getCommit = jest.fn()
+        .mockResolvedValueOnce(commitPage(fileList('src', 300), 650))
+        .mockResolvedValueOnce(commitPage(fileList('dist', 300), 650))
+        .mockResolvedValueOnce(commitPage([{ filename: 'package-lock.json', additions: 50, deletions: 0 }], 650));
+
+      const stats = await calculator.getCommitStatsWithRetry('acme', 'svc', 'bigcommit');
+
+      expect(stats.files).toHaveLength(601);
+      expect(stats).toMatchObject({ truncated: false, recovered: true });
+      expect(calculator.octokit.rest.repos.getCommit).toHaveBeenLastCalledWith({ owner: 'acme', repo: 'svc', ref: 'bigcommit', per_page: 300, page: 3 });
+    });
+
+    test('should fall back to the compare API when paging stays incomplete', async () => {
+      calculator.octokit.rest.repos.getCommit = jest.fn()
+        .mockResolvedValueOnce(commitPage(fileList('src', 300), 400))
+        .mockResolvedValueOnce(commitPage([], 400));
+      calculator.octokit.rest.repos.compareCommitsWithBasehead = jest.fn()
+        .mockResolvedValueOnce({ data: { files: fileList('src', 300) } })
+        .mockResolvedValueOnce({ data: { files: fileList('gen', 100) } });
+
+      const stats = await calculator.getCommitStatsWithRetry('acme', 'svc', 'bigcommit');
+
+      expect(stats.files).toHaveLength(400);
+      expect(stats.recovered).toBe(true);
+      expect(calculator.octokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledWith(expect.objectContaining({ basehead: 'parent...bigcommit', page: 1 }));
+    });
+
+    test('should stay truncated when no source lists every file', async () => {
+      calculator.octokit.rest.repos.getCommit = jest.fn()
+        .mockResolvedValueOnce(commitPage(fileList('src', 300), 5000))
+        .mockResolvedValueOnce(commitPage([], 5000));
+      calculator.octokit.rest.repos.compareCommitsWithBasehead = jest.fn().mockRejectedValue(new Error('diff too large'));
+
+      const stats = await calculator.getCommitStatsWithRetry('acme', 'svc', 'bigcommit');
+
+      expect(stats).toMatchObject({ truncated: true, recovered: false });
+    });
+
+    test('should apply file filters to every page and report recovered commits', async () => {
+      calculator.iterateCommitPages = commitPages([{ sha: 'bigcommit' }]);
+      calculator.octokit.rest.repos.getCommit = jest.fn()
+        .mockResolvedValueOnce(commitPage(fileList('src', 300), 700))
+        .mockResolvedValueOnce(commitPage([{ filename: 'yarn.lock', additions: 400, deletions: 0 }], 700));
+
+      const result = await calculator.processRepository(
+        { name: 'svc', full_name: 'acme/svc', owner: { login: 'acme' }, size: 1 },
+        new Date('2025-01-01'), new Date('2025-12-31')
+      );
+
+      expect(result.stats).toMatchObject({ additions: 300, truncatedCommits: 0, recoveredCommits: 1 });
+    });
+
+    test('should count no lines for a commit without a file list', async () => {
+      calculator.iterateCommitPages = commitPages([{ sha: 'bigcommit' }]);
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({
+        additions: 5000, deletions: 200, total: 5200, files: [], truncated: false
+      });
+
+      const result = await calculator.processRepository(
+        { name: 'svc', full_name: 'acme/svc', owner: { login: 'acme' }, size: 1 },
+        new Date('2025-01-01'), new Date('2025-12-31')
+      );
+
+      expect(result.stats).toMatchObject({ additions: 0, deletions: 0, truncatedCommits: 1 });
+    });
+
+    test('should refetch truncated entries from the cache', async () => {
+      const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-cache-'));
+      try {
+        calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, { cacheDir });
+        await calculator.cache.set('acme/svc@bigcommit', { additions: 400, deletions: 0, total: 400, files: [], truncated: true });
+        calculator.octokit.rest.repos.getCommit = jest.fn().mockResolvedValue(commitPage(fileList('src', 4, 100), 400));
+
+        const stats = await calculator.getCommitStatsWithRetry('acme', 'svc', 'bigcommit');
+
+        expect(stats.files).toHaveLength(4);
+        expect(calculator.cacheHits).toBe(0);
+      } finally {
+        await fs.rm(cacheDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('file rules config', () => {
+    let configDir;
+
+    beforeEach(async () => {
+      configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-config-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(configDir, { recursive: true, force: true });
+    });
+
+    test('should match globs like .gitignore', () => {
+      expect(globToRegExp('*.pb.go').test('api/v1/user.pb.go')).toBe(true);
+      expect(globToRegExp('/gen/**').test('gen/a/b.ts')).toBe(true);
+      expect(globToRegExp('/gen/**').test('src/gen/b.ts')).toBe(false);
+      expect(globToRegExp('clients/openapi/').test('clients/openapi/model.ts')).toBe(true);
+      expect(globToRegExp('node_modules/').test('web/node_modules/x/index.js')).toBe(true);
+      expect(globToRegExp('src/*.{js,ts}').test('src/a.ts')).toBe(true);
+      expect(globToRegExp('src/*.{js,ts}').test('src/lib/a.ts')).toBe(false);
+      expect(globToRegExp('file?.[!x]s').test('file1.js')).toBe(true);
+    });
+
+    test('should keep the built-in exclusions', () => {
+      expect(calculator.shouldIncludeFile('web/package-lock.json')).toBe(false);
+      expect(calculator.shouldIncludeFile('assets/app.min.js')).toBe(false);
+      expect(calculator.shouldIncludeFile('pkg/vendor/lib.go')).toBe(false);
+      expect(calculator.shouldIncludeFile('docs/_build/index.html')).toBe(false);
+      expect(calculator.shouldIncludeFile('api/user.generated.ts')).toBe(false);
+      expect(calculator.shouldIncludeFile('src/build/index.js')).toBe(true);
+      expect(calculator.shouldIncludeFile('src/logger.js')).toBe(true);
+    });
+
+    test('should extend the defaults and apply per-repository overrides', () => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({
+        config: {
+          source: '.locreportrc.json',
+          exclude: ['*.pb.go', 'clients/openapi/'],
+          repos: {
+            'acme/web': { include: ['src/**'] },
+            tools: { replace: true, exclude: ['fixtures/'] }
+          }
+        }
+      }));
+
+      expect(calculator.shouldIncludeFile('api/user.pb.go', 'acme/svc')).toBe(false);
+      expect(calculator.shouldIncludeFile('clients/openapi/model.ts', 'acme/svc')).toBe(false);
+      expect(calculator.shouldIncludeFile('yarn.lock', 'acme/svc')).toBe(false);
+      expect(calculator.shouldIncludeFile('scripts/deploy.sh', 'acme/web')).toBe(false);
+      expect(calculator.shouldIncludeFile('src/app.pb.go', 'acme/web')).toBe(false);
+      expect(calculator.shouldIncludeFile('src/app.js', 'acme/web')).toBe(true);
+      expect(calculator.shouldIncludeFile('yarn.lock', 'acme/tools')).toBe(true);
+      expect(calculator.shouldIncludeFile('fixtures/big.json', 'acme/tools')).toBe(false);
+    });
+
+    test('should replace the defaults', () => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({
+        config: { source: 'locreport.config.js', replace: true, exclude: ['third_party/'] }
+      }));
+
+      expect(calculator.shouldIncludeFile('package-lock.json')).toBe(true);
+      expect(calculator.shouldIncludeFile('third_party/zlib/inflate.c')).toBe(false);
+    });
+
+    test('should record the rule set in the report', async () => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({
+        config: { source: '.locreportrc.json', exclude: ['*.pb.go'], repos: { 'acme/web': { include: ['src/**'] } } }
+      }));
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([]);
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.fileRules).toMatchObject({ source: '.locreportrc.json', defaults: true, include: [] });
+      expect(results.fileRules.exclude).toContain('*.pb.go');
+      expect(results.fileRules.exclude).toContain('yarn.lock');
+      expect(results.fileRules.repos['acme/web'].include).toEqual(['src/**']);
+      expect(calculator.generateTextSummary(results)).toMatch(/File Rules: \.locreportrc\.json \(0 include, \d+ exclude patterns; overrides for acme\/web\)/);
+    });
+
+    test('should load .locreportrc.json, then locreport.config.js, from the working directory', async () => {
+      expect(await loadConfig(null, configDir)).toEqual({ source: 'built-in' });
+
+      await fs.writeFile(path.join(configDir, 'locreport.config.js'), "module.exports = { exclude: ['gen/'] };");
+      expect(await loadConfig(null, configDir)).toEqual({ source: 'locreport.config.js', exclude: ['gen/'] });
+
+      await fs.writeFile(path.join(configDir, '.locreportrc.json'), JSON.stringify({ include: ['src/**'] }));
+      expect(await loadConfig(null, configDir)).toEqual({ source: '.locreportrc.json', include: ['src/**'] });
+    });
+
+    test('should reject missing or malformed config files', async () => {
+      await fs.writeFile(path.join(configDir, 'bad.json'), '{ "exclude": "*.pb.go" }');
+      await fs.writeFile(path.join(configDir, 'broken.json'), '{ nope');
+
+      await expect(loadConfig('missing.json', configDir)).rejects.toThrow('Config file not found: missing.json');
+      await expect(loadConfig('bad.json', configDir)).rejects.toThrow('"exclude" must be a list of glob strings');
+      await expect(loadConfig('broken.json', configDir)).rejects.toThrow('Invalid config file');
+      expect(parseArgs(['--config', 'bad.json']).config).toBe('bad.json');
+    });
+  });
+
+  describe('file categories', () => {
+    test('should classify files with the built-in rules', () => {
+      const categories = {
+        'src/app.js': 'source',
+        'src/__tests__/app.js': 'test',
+        'pkg/server_test.go': 'test',
+        'lib/app.test.ts': 'test',
+        'tests/test_api.py': 'test',
+        'docs/guide.md': 'docs',
+        'README.md': 'docs',
+        '.github/workflows/ci.yml': 'ci',
+        'docker-compose.yml': 'config',
+        'package.json': 'config',
+        'src/contest/entry.js': 'source'
+      };
+      Object.entries(categories).forEach(([filename, category]) => {
+        expect([filename, calculator.classifyFile(filename)]).toEqual([filename, category]);
+      });
+    });
+
+    test('should extend or replace the rules from the config file', () => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({
+        config: {
+          source: '.locreportrc.json',
+          categories: { test: ['e2e/'], docs: ['/handbook/'] },
+          repos: { infra: { categories: { replace: true, config: ['*.tf'] } } }
+        }
+      }));
+
+      expect(calculator.classifyFile('e2e/login.js', 'acme/web')).toBe('test');
+      expect(calculator.classifyFile('handbook/onboarding.html', 'acme/web')).toBe('docs');
+      expect(calculator.classifyFile('src/a.test.js', 'acme/web')).toBe('test');
+      expect(calculator.classifyFile('main.tf', 'acme/infra')).toBe('config');
+      expect(calculator.classifyFile('README.md', 'acme/infra')).toBe('source');
+      expect(calculator.summarizeFileRules().categories.test).toContain('e2e/');
+    });
+
+    test('should reject unknown categories in the config file', async () => {
+      const configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-config-'));
+      try {
+        await fs.writeFile(path.join(configDir, 'bad.json'), JSON.stringify({ categories: { tests: ['e2e/'] } }));
+        await expect(loadConfig('bad.json', configDir)).rejects.toThrow('unknown category "tests"');
+      } finally {
+        await fs.rm(configDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should add up lines per category and show the test-to-code ratio', async () => {
+      const repo = { name: 'svc', full_name: 'acme/svc', owner: { login: 'acme' }, size: 1, fork: false };
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([repo]);
+      calculator.iterateCommitPages = commitPages([{ sha: 'aaa' }, { sha: 'bbb' }]);
+      calculator.getCommitStatsWithRetry = jest.fn()
+        .mockResolvedValueOnce({ total: 0, truncated: false, files: [
+          { filename: 'src/a.js', additions: 40, deletions: 4 },
+          { filename: 'src/a.test.js', additions: 10, deletions: 0 }
+        ] })
+        .mockResolvedValueOnce({ total: 0, truncated: false, files: [
+          { filename: 'src/a.test.js', additions: 10, deletions: 2 },
+          { filename: 'README.md', additions: 3, deletions: 1 }
+        ] });
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.categoryStats).toEqual({
+        source: { additions: 40, deletions: 4, files: 1, commits: 1 },
+        test: { additions: 20, deletions: 2, files: 2, commits: 2 },
+        docs: { additions: 3, deletions: 1, files: 1, commits: 1 }
+      });
+      expect(results.repoStats[0].categoryStats).toEqual(results.categoryStats);
+      expect(calculator.generateTextSummary(results)).toContain('LINES BY CATEGORY:\n- Source: +40 -4 lines (1 commits)\n- Tests: +20 -2 lines (2 commits)');
+      expect(calculator.generateTextSummary(results)).toContain('Test-to-code ratio: 0.50');
+
+      calculator.printSummary(results);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Test-to-code ratio: 0.50 test lines per source line added'));
+    });
+  });
+
+  describe('.gitattributes linguist markers', () => {
+    const repo = { name: 'svc', full_name: 'acme/svc', owner: { login: 'acme' }, size: 1, default_branch: 'main' };
+    const attributesFile = content => ({ data: { content: Buffer.from(content).toString('base64'), encoding: 'base64' } });
+    const gitattributes = [
+      '# generated clients',
+      'api/** linguist-generated=true',
+      'api/handwritten.ts -linguist-generated',
+      'third_party/** linguist-vendored',
+      '*.md text linguist-documentation',
+      '*.svg binary',
+      '[attr]gen linguist-generated'
+    ].join('\n');
+
+    beforeEach(() => {
+      calculator.octokit.rest.repos.getContent = jest.fn().mockResolvedValue(attributesFile(gitattributes));
+      calculator.iterateCommitPages = commitPages([{ sha: 'a' }]);
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({
+        total: 0, truncated: false,
+        files: [
+          { filename: 'src/app.ts', additions: 10, deletions: 0 },
+          { filename: 'api/client.ts', additions: 500, deletions: 0 },
+          { filename: 'api/handwritten.ts', additions: 7, deletions: 0 },
+          { filename: 'third_party/lib/x.c', additions: 300, deletions: 0 },
+          { filename: 'docs/guide.md', additions: 40, deletions: 0 }
+        ]
+      });
+    });
+
+    test('should parse linguist markers and let later lines win', () => {
+      const rules = parseGitAttributes(gitattributes);
+
+      expect(rules.map(rule => rule.pattern)).toEqual(['api/**', 'api/handwritten.ts', 'third_party/**', '*.md']);
+      expect(rules[1].attributes).toEqual({ 'linguist-generated': false });
+      expect(parseGitAttributes('x !linguist-vendored y linguist-vendored=false')[0].attributes).toEqual({ 'linguist-vendored': false });
+    });
+
+    test('should exclude generated, vendored and documentation files', async () => {
+      const result = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(result.stats.additions).toBe(17);
+      expect(calculator.octokit.rest.repos.getContent).toHaveBeenCalledWith({ owner: 'acme', repo: 'svc', path: '.gitattributes', ref: 'main' });
+    });
+
+    test('should fetch .gitattributes once per repository', async () => {
+      await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+      await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(calculator.octokit.rest.repos.getContent).toHaveBeenCalledTimes(1);
+    });
+
+    test('should count every file with --no-gitattributes', async () => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ gitattributes: false }));
+      calculator.octokit.rest.repos.getContent = jest.fn();
+      calculator.iterateCommitPages = commitPages([{ sha: 'a' }]);
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({
+        total: 0, truncated: false, files: [{ filename: 'api/client.ts', additions: 500, deletions: 0 }]
+      });
+
+      const result = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(result.stats.additions).toBe(500);
+      expect(calculator.octokit.rest.repos.getContent).not.toHaveBeenCalled();
+      expect(calculator.summarizeFileRules().gitattributes).toBe(false);
+      expect(parseArgs(['--no-gitattributes']).gitattributes).toBe(false);
+    });
+
+    test('should carry on without markers when .gitattributes cannot be read', async () => {
+      calculator.octokit.rest.repos.getContent = jest.fn().mockRejectedValue(Object.assign(new Error('Server Error'), { status: 500 }));
+
+      const result = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(result.stats.additions).toBe(857);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Could not read .gitattributes of acme/svc'));
+    });
+  });
+
+  describe('author identities and co-authors', () => {
+    const repo = { name: 'svc', full_name: 'acme/svc', owner: { login: 'acme' }, size: 1 };
+    const commit = (sha, login, email, message = 'change') => ({
+      sha,
+      author: login ? { login } : null,
+      commit: { author: { name: 'Someone', email, date: '2025-03-01T10:00:00Z' }, message }
+    });
+    const identities = {
+      Alice: { emails: ['alice@home.example'], logins: ['alice-work'] }
+    };
+    const listedCommits = [
+      commit('1', 'alice', 'alice@corp.example'),
+      commit('2', 'alice-work', 'alice@corp.example'),
+      commit('3', null, 'ALICE@home.example'),
+      commit('4', 'carol', 'carol@corp.example', 'pairing\n\nCo-authored-by: Alice <alice@home.example>\nCo-authored-by: Dan <dan@corp.example>'),
+      commit('5', 'carol', 'carol@corp.example')
+    ];
+    const create = options => {
+      calculator = new GitHubLOCCalculator('test-token', 'alice', 2025, testOptions({ config: { source: '.locreportrc.json', identities }, ...options }));
+      calculator.octokit.rest.repos.listCommits = jest.fn()
+        .mockResolvedValueOnce({ data: listedCommits })
+        .mockResolvedValueOnce({ data: [] });
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({
+        total: 0, truncated: false, files: [{ filename: 'src/a.js', additions: 30, deletions: 6 }]
+      });
+    };
+
+    test('should match emails and alternate logins from the identity map', async () => {
+      create();
+
+      const result = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(calculator.octokit.rest.repos.listCommits.mock.calls[0][0]).not.toHaveProperty('author');
+      expect(result.stats).toMatchObject({ commits: 3, additions: 90, authorMatches: { login: 1, alias: 1, email: 1 } });
+    });
+
+    test('should give co-authors full credit', async () => {
+      create({ coAuthors: 'full' });
+
+      const result = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(result.stats).toMatchObject({ commits: 4, additions: 120, authorMatches: { login: 1, alias: 1, email: 1, coAuthor: 1 } });
+    });
+
+    test('should split a co-authored commit evenly between everyone on it', async () => {
+      create({ coAuthors: 'split' });
+
+      const result = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(result.stats).toMatchObject({ commits: 4, additions: 100, deletions: 20 });
+      expect(result.stats.languageStats.JavaScript).toMatchObject({ additions: 100, commits: 4 });
+    });
+
+    test('should split team credit without counting a paired commit twice', async () => {
+      calculator = new GitHubLOCCalculator('test-token', 'alice', 2025, testOptions({ users: ['alice', 'bob'], coAuthors: 'split' }));
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([repo]);
+      calculator.iterateCommitPages = commitPages([
+        commit('1', 'bob', 'bob@corp.example', 'Co-authored-by: alice <1+alice@users.noreply.github.com>')
+      ]);
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({
+        total: 0, truncated: false, files: [{ filename: 'src/a.js', additions: 30, deletions: 6 }]
+      });
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.userStats.alice).toMatchObject({ totalAdditions: 15, totalCommits: 1 });
+      expect(results.userStats.bob).toMatchObject({ totalAdditions: 15, totalCommits: 1 });
+      expect(results).toMatchObject({ totalAdditions: 30, totalCommits: 1, coAuthors: 'split', authorMatches: { login: 1, coAuthor: 1 } });
+      expect(calculator.generateTextSummary(results)).toContain('COMMITS MATCHED BY:\n- GitHub login: 1\n- Co-authored-by trailer: 1\n- Co-author credit: split');
+    });
+
+    test('should keep split per-user totals adding up to the team total with odd line counts', async () => {
+      calculator = new GitHubLOCCalculator('test-token', 'alice', 2025, testOptions({ users: ['alice', 'bob'], coAuthors: 'split' }));
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([repo]);
+      const paired = sha => commit(sha, 'bob', 'bob@corp.example', 'Co-authored-by: alice <1+alice@users.noreply.github.com>');
+      calculator.iterateCommitPages = commitPages([paired('1'), paired('2'), paired('3'), paired('4')]);
+      const lines = { 1: 1, 2: 1, 3: 1, 4: 7 };
+      calculator.getCommitStatsWithRetry = jest.fn(async (owner, name, sha) => ({
+        total: 0, truncated: false, files: [{ filename: 'src/a.js', additions: lines[sha], deletions: 1 }]
+      }));
+
+      const results = await calculator.calculateLOCForYear();
+
+      const { alice, bob } = results.userStats;
+      expect(results).toMatchObject({ totalAdditions: 10, totalDeletions: 4 });
+      expect(alice.totalAdditions + bob.totalAdditions).toBe(10);
+      expect(alice.totalDeletions + bob.totalDeletions).toBe(4);
+      expect(alice.fileTypeStats.js.additions + bob.fileTypeStats.js.additions).toBe(results.fileTypeStats.js.additions);
+      // The odd line goes to the commit author
+      expect(bob.totalAdditions).toBe(7);
+    });
+
+    test('should not match git author or co-author names to logins on the API', () => {
+      calculator = new GitHubLOCCalculator('test-token', 'dan', 2025, testOptions({ users: ['dan', 'bob'], coAuthors: 'full' }));
+
+      expect(calculator.matchCommit(commit('1', 'bob', 'bob@corp.example', 'Co-authored-by: Dan <dan@elsewhere.com>')))
+        .toEqual([{ user: 'bob', share: 1, method: 'login' }]);
+      expect(calculator.matchCommit({ sha: '2', author: null, commit: { author: { name: 'dan', email: 'dan@elsewhere.com' }, message: '' } }))
+        .toEqual([]);
+    });
+
+    test('should split between distinct people, ignoring repeated trailers and the author', () => {
+      calculator = new GitHubLOCCalculator('test-token', 'alice', 2025, testOptions({ users: ['alice', 'bob'], coAuthors: 'split' }));
+      const paired = commit('1', 'bob', 'bob@corp.example', [
+        'Co-authored-by: alice <1+alice@users.noreply.github.com>',
+        'Co-authored-by: Alice <1+alice@users.noreply.github.com>',
+        'Co-authored-by: bob <bob@corp.example>'
+      ].join('\n'));
+      expect(calculator.matchCommit(paired)).toEqual([
+        { user: 'bob', share: 0.5, method: 'login' },
+        { user: 'alice', share: 0.5, method: 'coAuthor' }
+      ]);
+
+      // Someone outside the analyzed users still takes their part, once
+      const withCarol = commit('2', 'bob', 'bob@corp.example', [
+        'Co-authored-by: carol <carol@corp.example>',
+        'Co-authored-by: Carol C <carol@corp.example>'
+      ].join('\n'));
+      expect(calculator.matchCommit(withCarol)).toEqual([{ user: 'bob', share: 0.5, method: 'login' }]);
+    });
+
+    test('should keep the server-side author filter without identities or co-author credit', async () => {
+      calculator.octokit.rest.repos.listCommits = jest.fn().mockResolvedValue({ data: [] });
+
+      await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(calculator.octokit.rest.repos.listCommits.mock.calls[0][0]).toHaveProperty('author', 'test-user');
+    });
+
+    test('should validate identities and --co-authors', async () => {
+      const configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-config-'));
+      try {
+        await fs.writeFile(path.join(configDir, '.locreportrc.json'), JSON.stringify({ identities: { alice: { emails: 'a@b.c' } } }));
+        await expect(loadConfig(null, configDir)).rejects.toThrow('identities["alice"].emails must be a list of strings');
+      } finally {
+        await fs.rm(configDir, { recursive: true, force: true });
+      }
+      expect(parseArgs(['--co-authors', 'split']).coAuthors).toBe('split');
+      expect(() => parseArgs(['--co-authors', 'half'])).toThrow('--co-authors must be one of none, full, split');
+    });
+  });
+
+  describe('branches, forks and duplicate commits', () => {
+    const upstream = { name: 'lib', full_name: 'acme/lib', owner: { login: 'acme' }, size: 1, fork: false };
+    const fork = { name: 'lib', full_name: 'test-user/lib', owner: { login: 'test-user' }, size: 1, fork: true };
+    const listed = (...shas) => ({ data: shas.map(sha => ({ sha, commit: { author: { date: '2025-04-01T00:00:00Z' } } })) });
+
+    beforeEach(() => {
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({
+        total: 0, truncated: false, files: [{ filename: 'src/a.js', additions: 10, deletions: 0 }]
+      });
+    });
+
+    test('should list commits of every matching branch and count shared commits once', async () => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ branches: 'release/*' }));
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({ total: 0, truncated: false, files: [] });
+      calculator.octokit.rest.repos.listBranches = jest.fn()
+        .mockResolvedValueOnce({ data: [{ name: 'main' }, { name: 'release/1.x' }, { name: 'release/2.x' }, { name: 'feature/release/x' }] })
+        .mockResolvedValueOnce({ data: [] });
+      calculator.octokit.rest.repos.listCommits = jest.fn(async ({ sha, page }) => {
+        if (page > 1) return { data: [] };
+        return sha === 'release/1.x' ? listed('a', 'b') : listed('b', 'c');
+      });
+
+      const result = await calculator.processRepository(upstream, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(calculator.octokit.rest.repos.listCommits.mock.calls.map(([params]) => params.sha)).toEqual(['release/1.x', 'release/1.x', 'release/2.x', 'release/2.x']);
+      expect(result.stats).toMatchObject({ commits: 3, duplicateCommits: 0 });
+    });
+
+    test('should process forks last and skip commits their upstream already counted', async () => {
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([fork, upstream]);
+      calculator.iterateCommitPages = jest.fn(async function* (owner) {
+        yield owner === 'acme' ? [{ sha: 'a' }, { sha: 'b' }] : [{ sha: 'a' }, { sha: 'b' }, { sha: 'f' }];
+      });
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.repoStats.map(repo => [repo.name, repo.commits, repo.duplicateCommits])).toEqual([
+        ['acme/lib', 2, 0],
+        ['test-user/lib', 1, 2]
+      ]);
+      expect(results).toMatchObject({ totalCommits: 3, totalAdditions: 30, forks: ['test-user/lib'] });
+      expect(results.runtimeStats.duplicateCommits).toBe(2);
+      expect(calculator.generateTextSummary(results)).toContain('Duplicate commits skipped (already counted in another repository): 2');
+    });
+
+    test('should not mark commits of a failed repository as counted', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      calculator.iterateCommitPages = jest.fn(async function* () {
+        yield [{ sha: 'a' }];
+        throw new Error('Server Error');
+      });
+
+      await calculator.processRepository(upstream, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(calculator.seenCommits.size).toBe(0);
+    });
+
+    test('should carry counted commits over when resuming', async () => {
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([upstream]);
+      calculator.iterateCommitPages = commitPages([{ sha: 'a' }]);
+      await calculator.calculateLOCForYear();
+
+      const resumed = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ resumeFrom: checkpointFile }));
+      resumed.getAllRepositories = jest.fn().mockResolvedValue([upstream, fork]);
+      resumed.iterateCommitPages = commitPages([{ sha: 'a' }, { sha: 'f' }]);
+      resumed.getCommitStatsWithRetry = calculator.getCommitStatsWithRetry;
+      const results = await resumed.calculateLOCForYear();
+
+      expect(results.totalCommits).toBe(2);
+      expect(results.runtimeStats.duplicateCommits).toBe(1);
+    });
+
+    test('should append only the new commits of each repository to the checkpoint', async () => {
+      const commitsFile = checkpointFile.replace(/\.json$/, '.commits.jsonl');
+      const other = { name: 'app', full_name: 'acme/app', owner: { login: 'acme' }, size: 1, fork: false };
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([upstream, other, fork]);
+      calculator.iterateCommitPages = jest.fn(async function* (owner, name) {
+        yield owner === 'acme' && name === 'lib' ? [{ sha: 'a' }, { sha: 'b' }] : name === 'app' ? [{ sha: 'c' }] : [{ sha: 'a' }, { sha: 'f' }];
+      });
+      await calculator.calculateLOCForYear();
+
+      const records = (await fs.readFile(commitsFile, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      expect(records).toEqual([
+        { repo: null, commits: [] },
+        { repo: 'acme/lib', commits: ['a', 'b'] },
+        { repo: 'acme/app', commits: ['c'] },
+        { repo: 'test-user/lib', commits: ['f'] }
+      ]);
+      expect(JSON.parse(await fs.readFile(checkpointFile, 'utf8'))).not.toHaveProperty('seenCommits');
+
+      // A repository recorded but not yet marked complete (a crash between the writes) runs again
+      const checkpoint = JSON.parse(await fs.readFile(checkpointFile, 'utf8'));
+      checkpoint.completedRepos = ['acme/lib', 'acme/app'];
+      await fs.writeFile(checkpointFile, JSON.stringify(checkpoint));
+      await fs.appendFile(commitsFile, '{"repo":"acme/ot');
+      const resumed = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ resumeFrom: checkpointFile }));
+      expect([...(await resumed.loadCheckpoint(checkpointFile)).seenCommits]).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should read every local branch with --branches all', async () => {
+      const repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-branches-'));
+      const git = (...args) => execFileSync('git', ['-c', 'user.name=test-user', '-c', 'user.email=t@example.com', ...args], {
+        cwd: repoDir,
+        env: { ...process.env, GIT_CONFIG_NOSYSTEM: '1', HOME: repoDir, GIT_AUTHOR_DATE: '2025-03-01T00:00:00Z', GIT_COMMITTER_DATE: '2025-03-01T00:00:00Z' }
+      });
+      try {
+        git('init', '-q', '-b', 'main');
+        await fs.writeFile(path.join(repoDir, 'a.js'), '1\n');
+        git('add', '-A');
+        git('commit', '-q', '-m', 'main');
+        git('checkout', '-q', '-b', 'release/1.x');
+        await fs.writeFile(path.join(repoDir, 'b.js'), '1\n2\n');
+        git('add', '-A');
+        git('commit', '-q', '-m', 'release');
+        git('checkout', '-q', 'main');
+
+        const count = async branches => {
+          const instance = new GitHubLOCCalculator(null, 'test-user', 2025, testOptions({ local: repoDir, branches }));
+          return (await instance.calculateLOCForYear()).totalCommits;
+        };
+
+        expect(await count('default')).toBe(1);
+        expect(await count('all')).toBe(2);
+        expect(await count('release/*')).toBe(2);
+        expect(parseArgs(['--branches', 'all']).branches).toBe('all');
+      } finally {
+        await fs.rm(repoDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('repository filters', () => {
+    const repository = (fullName, extra = {}) => ({
+      name: fullName.split('/')[1], full_name: fullName, owner: { login: fullName.split('/')[0] }, size: 1,
+      fork: false, archived: false, private: false, topics: [], ...extra
+    });
+    const repos = [
+      repository('acme/billing-service', { topics: ['service', 'payments'], private: true, visibility: 'private' }),
+      repository('acme/search-service', { topics: ['service'] }),
+      repository('acme/legacy-service', { topics: ['service'], archived: true }),
+      repository('acme/website'),
+      repository('me/billing-service', { fork: true, topics: ['service'] }),
+      repository('other/tools')
+    ];
+    const select = repoFilter => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ repoFilter }));
+      return calculator.filterRepositories(repos).map(repo => repo.full_name);
+    };
+
+    test('should keep every repository without filters', () => {
+      expect(select({})).toHaveLength(6);
+    });
+
+    test('should filter by fork, archived, visibility, owner and topic', () => {
+      expect(select({ forks: 'exclude', archived: 'exclude', topics: ['service'] })).toEqual(['acme/billing-service', 'acme/search-service']);
+      expect(select({ visibility: 'private' })).toEqual(['acme/billing-service']);
+      expect(select({ owners: ['ACME', 'other'], topics: ['payments', 'service'] })).toEqual([
+        'acme/billing-service', 'acme/search-service', 'acme/legacy-service'
+      ]);
+    });
+
+    test('should match --repo and --exclude-repo globs against full or bare names', () => {
+      expect(select({ repos: ['acme/*-service'], excludeRepos: ['legacy-*'] })).toEqual(['acme/billing-service', 'acme/search-service']);
+      expect(select({ repos: ['billing-service', 'other/*'] })).toEqual(['acme/billing-service', 'me/billing-service', 'other/tools']);
+    });
+
+    test('should filter before fetching commits and record the filter', async () => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ repoFilter: { repos: ['acme/*-service'], archived: 'exclude' } }));
+      calculator.getAllRepositories = jest.fn().mockResolvedValue(repos);
+      calculator.processRepository = jest.fn().mockResolvedValue({ success: true, stats: { additions: 0, deletions: 0, commits: 0, netLines: 0 } });
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(calculator.processRepository.mock.calls.map(([repo]) => repo.full_name)).toEqual(['acme/billing-service', 'acme/search-service']);
+      expect(results.repoSelection).toMatchObject({ listed: 6, selected: 2, filter: { repos: ['acme/*-service'], archived: 'exclude', forks: 'include' } });
+      expect(calculator.generateTextSummary(results)).toContain('Repository Filter: archived excluded; repo: acme/*-service (2 of 6 repositories)');
+    });
+
+    test('should parse repeatable filter options', () => {
+      expect(parseArgs([
+        '--exclude-forks', '--exclude-archived', '--visibility', 'public', '--owner', 'acme,globex',
+        '--topic', 'service', '--repo', 'acme/*-service', '--repo=acme/{web,api}', '--exclude-repo', 'acme/legacy-*'
+      ]).repoFilter).toEqual({
+        forks: 'exclude', archived: 'exclude', visibility: 'public', owners: ['acme', 'globex'],
+        topics: ['service'], repos: ['acme/*-service', 'acme/{web,api}'], excludeRepos: ['acme/legacy-*']
+      });
+      expect(parseArgs(['--exclude-forks', '--include-forks']).repoFilter.forks).toBe('include');
+      expect(() => parseArgs(['--visibility', 'secret'])).toThrow('--visibility must be public, private or internal');
+    });
+  });
+
+  describe('command line interface', () => {
+    const token = process.env.GITHUB_TOKEN;
+    let outputDir;
+    const runReport = async (argv, failed = 0) => {
+      jest.spyOn(GitHubLOCCalculator.prototype, 'calculateLOCForYear').mockImplementation(async function () {
+        const results = this.createEmptyResults('all');
+        results.processingStatus.failed = failed;
+        results.processingStatus.failedRepos = failed > 0 ? ['acme/broken'] : [];
+        await this.saveCheckpoint(results, new Set(['acme/broken']), 'acme/broken');
+        return results;
+      });
+      return main([...argv, '--user', 'test-user', '--no-cache', '--output-dir', outputDir]);
+    };
+
+    beforeEach(async () => {
+      process.env.GITHUB_TOKEN = 'test-token';
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-cli-'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      if (token === undefined) {
+        delete process.env.GITHUB_TOKEN;
+      } else {
+        process.env.GITHUB_TOKEN = token;
+      }
+      await fs.rm(outputDir, { recursive: true, force: true });
+    });
+
+    test('should parse subcommands and output options', () => {
+      expect(parseArgs(['report', 'svc', '--user', 'alice', '--year', '2024', '-q'])).toMatchObject({
+        command: 'report', targetRepo: 'svc', user: 'alice', year: '2024', logLevel: 'quiet'
+      });
+      expect(parseArgs(['cache', 'clear'])).toMatchObject({ command: 'cache', args: ['clear'], targetRepo: null });
+      expect(parseArgs(['--output-dir', 'out', '--json-stdout', '--verbose'])).toMatchObject({ outputDir: 'out', jsonStdout: true, logLevel: 'verbose' });
+      expect(parseArgs(['-h']).help).toBe(true);
+      expect(() => parseArgs(['report', 'a', 'b'])).toThrow('Unexpected argument: b');
+      expect(() => parseArgs(['cache', 'purge'])).toThrow('Usage: cache info|clear');
+      expect(() => parseArgs(['--year', '25'])).toThrow('--year must be a four-digit year');
+      expect(() => parseArgs(['-x'])).toThrow('Unknown option: -x');
+    });
+
+    test('should print help and version', async () => {
+      expect(await main(['--help'])).toBe(EXIT_CODES.success);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Exit codes:'));
+      expect(await main(['--version'])).toBe(EXIT_CODES.success);
+      expect(console.log).toHaveBeenCalledWith(require('./package.json').version);
+    });
+
+    test('should exit with 1 on invalid arguments and missing credentials', async () => {
+      expect(await main(['--bogus'])).toBe(EXIT_CODES.fatal);
+      delete process.env.GITHUB_TOKEN;
+      expect(await main(['--user', 'test-user'])).toBe(EXIT_CODES.fatal);
+    });
+
+    test('should write reports to --output-dir and exit with 0', async () => {
+      expect(await runReport(['--year', '2024'])).toBe(EXIT_CODES.success);
+
+      const files = await fs.readdir(outputDir);
+      expect(files.filter(file => file.endsWith('.json') || file.endsWith('.txt')).sort()).toEqual([
+        expect.stringMatching(/^github-loc-summary-test-user-2024-.*\.txt$/),
+        expect.stringMatching(/^github-loc-test-user-2024-.*\.json$/)
+      ]);
+      expect(files.filter(file => file.startsWith('checkpoint-'))).toEqual([]);
+    });
+
+    test('should analyze the --users list even when GITHUB_USERNAME names someone else', async () => {
+      const username = process.env.GITHUB_USERNAME;
+      process.env.GITHUB_USERNAME = 'bob';
+      let analyzed;
+      jest.spyOn(GitHubLOCCalculator.prototype, 'calculateLOCForYear').mockImplementation(function () {
+        analyzed = this;
+        return Promise.resolve(this.createEmptyResults('all'));
+      });
+
+      try {
+        expect(await main(['--users', 'alice', '--no-cache', '--output-dir', outputDir])).toBe(EXIT_CODES.success);
+      } finally {
+        if (username === undefined) {
+          delete process.env.GITHUB_USERNAME;
+        } else {
+          process.env.GITHUB_USERNAME = username;
+        }
+      }
+
+      expect(analyzed.users).toEqual(['alice']);
+      expect(analyzed.username).toBe('alice');
+      expect(analyzed.getReportLabel()).toBe('alice');
+      expect(analyzed.matchCommit({ author: { login: 'alice' }, commit: { message: '' } })).toEqual([{ user: 'alice', share: 1, method: 'login' }]);
+      expect(console.log).toHaveBeenCalledWith('Target user: alice');
+    });
+
+    test('should exit with 2 when some repositories failed and keep the checkpoint', async () => {
+      expect(await runReport([], 1)).toBe(EXIT_CODES.partial);
+
+      expect((await fs.readdir(outputDir)).filter(file => file.startsWith('checkpoint-')).sort()).toEqual([
+        'checkpoint-test-user-2025.commits.jsonl', 'checkpoint-test-user-2025.json'
+      ]);
+    });
+
+    test('should print the JSON report to stdout with --json-stdout', async () => {
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+      expect(await runReport(['--json-stdout'])).toBe(EXIT_CODES.success);
+
+      expect(JSON.parse(write.mock.calls[0][0])).toMatchObject({ totalCommits: 0, period: { label: '2025' } });
+      expect(await fs.readdir(outputDir)).toEqual([]);
+
+      // Not even a checkpoint for the failed repositories
+      expect(await runReport(['--json-stdout'], 1)).toBe(EXIT_CODES.partial);
+      expect(await fs.readdir(outputDir)).toEqual([]);
+    });
+
+    test('should keep progress output off stdout with --json-stdout and drop it with --quiet', async () => {
+      const log = console.log;
+      jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+      await runReport(['--quiet', '--json-stdout']);
+
+      expect(console.log).toBe(log);
+      expect(log).not.toHaveBeenCalledWith(expect.stringContaining('Start time'));
+    });
+  });
+
+  describe('dry run', () => {
+    const repository = (fullName, extra = {}) => ({
+      name: fullName.split('/')[1], full_name: fullName, owner: { login: fullName.split('/')[0] }, size: 1, fork: false, ...extra
+    });
+    const repos = [repository('acme/api'), repository('me/api', { fork: true })];
+    const listings = {
+      'acme/api': [[{ sha: 'aaa' }, { sha: 'bbb' }], [{ sha: 'ccc' }]],
+      'me/api': [[{ sha: 'aaa' }, { sha: 'ddd' }]]
+    };
+    // Each listed page costs one request, as listCommits would
+    async function* listedPages(owner, name) {
+      for (const page of listings[`${owner}/${name}`]) {
+        this.requestCount++;
+        yield page;
+      }
+    }
+
+    beforeEach(() => {
+      calculator.getAllRepositories = jest.fn().mockResolvedValue(repos);
+      calculator.iterateCommitPages = listedPages;
+      calculator.getCommitStatsWithRetry = jest.fn();
+      calculator.cache = { get: jest.fn(async key => (key === 'acme/api@bbb' ? { truncated: false, files: [] } : null)) };
+    });
+
+    test('should count commits and estimate API calls without fetching commit details', async () => {
+      const estimate = await calculator.estimateRun();
+
+      expect(calculator.getCommitStatsWithRetry).not.toHaveBeenCalled();
+      expect(estimate.repositories).toEqual([
+        { repo: 'acme/api', commits: 3, cachedCommits: 1, listingCalls: 3, detailCalls: 2, apiCalls: 5 },
+        // aaa is already counted in the upstream
+        { repo: 'me/api', commits: 1, cachedCommits: 0, listingCalls: 2, detailCalls: 1, apiCalls: 3 }
+      ]);
+      expect(estimate.totals).toEqual({ repositories: 2, commits: 4, cachedCommits: 1, listingCalls: 5, detailCalls: 3, apiCalls: 8 });
+      expect(estimate.dryRunApiCalls).toBe(3);
+    });
+
+    test('should include rate-limit resets in the time estimate', async () => {
+      const reset = Date.now() + 10 * 60 * 1000;
+      calculator.rateLimit = { limit: 5000, remaining: 4, reset };
+
+      const estimate = await calculator.estimateRun();
+
+      expect(estimate.estimatedWaitMs).toBeGreaterThan(9 * 60 * 1000);
+      expect(estimate.estimatedDurationMs).toBeGreaterThanOrEqual(estimate.estimatedWaitMs);
+      expect(calculator.estimateRateLimitWait(4)).toBe(0);
+      expect(calculator.estimateRateLimitWait(4 + 5000 * 2)).toBeGreaterThan(69 * 60 * 1000);
+    });
+
+    test('should stop counting at --max-commits and record listing failures', async () => {
+      calculator.maxCommits = 2;
+      calculator.iterateCommitPages = async function* (owner, name) {
+        if (owner === 'me') {
+          throw new Error('Repository access blocked');
+        }
+        yield* listedPages.call(this, owner, name);
+      };
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const estimate = await calculator.estimateRun();
+
+      expect(estimate.repositories[0]).toMatchObject({ commits: 2, commitLimitReached: true });
+      expect(estimate.repositories[1]).toMatchObject({ commits: 0, error: 'Repository access blocked' });
+    });
+
+    test('should print the estimate as a table and write no reports', async () => {
+      jest.spyOn(GitHubLOCCalculator.prototype, 'selectRepositories').mockResolvedValue({ repos, analysisMode: 'all', listedCount: 2 });
+      jest.spyOn(GitHubLOCCalculator.prototype, 'iterateCommitPages').mockImplementation(listedPages);
+      const getCommitStats = jest.spyOn(GitHubLOCCalculator.prototype, 'getCommitStatsWithRetry');
+      const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-dry-run-'));
+      const token = process.env.GITHUB_TOKEN;
+      process.env.GITHUB_TOKEN = 'test-token';
+
+      try {
+        const code = await main(['--dry-run', '--user', 'test-user', '--no-cache', '--output-dir', outputDir]);
+
+        expect(code).toBe(EXIT_CODES.success);
+        expect(getCommitStats).not.toHaveBeenCalled();
+        expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^acme\/api\s+3\s+0\s+3\s+3\s+6$/));
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Estimated API calls: 9'));
+        expect(await fs.readdir(outputDir)).toEqual([]);
+      } finally {
+        if (token === undefined) {
+          delete process.env.GITHUB_TOKEN;
+        } else {
+          process.env.GITHUB_TOKEN = token;
+        }
+        await fs.rm(outputDir, { recursive: true, force: true });
+      }
+      expect(() => parseArgs(['--dry-run', '--local', '.'])).toThrow('cannot be combined with --local or --clone');
+    });
+  });
+
+  describe('report comparison', () => {
+    const report = (label, repoStats, failedRepos = []) => ({
+      users: ['test-user'],
+      period: { label },
+      totalAdditions: repoStats.reduce((sum, repo) => sum + repo.additions, 0),
+      totalDeletions: repoStats.reduce((sum, repo) => sum + repo.deletions, 0),
+      netLines: repoStats.reduce((sum, repo) => sum + repo.netLines, 0),
+      totalCommits: repoStats.reduce((sum, repo) => sum + repo.commits, 0),
+      repoStats,
+      processingStatus: { successful: repoStats.length, failed: failedRepos.length, failedRepos }
+    });
+    const repoStats = (name, additions, deletions, commits) => ({ name, additions, deletions, netLines: additions - deletions, commits });
+    const oldReport = report('2024', [
+      repoStats('acme/api', 100, 20, 10),
+      repoStats('acme/legacy', 50, 10, 5),
+      repoStats('acme/worker', 30, 0, 3),
+      repoStats('acme/docs', 5, 0, 1)
+    ]);
+    const newReport = report('2025', [
+      repoStats('acme/api', 300, 50, 12),
+      repoStats('acme/web', 80, 0, 4),
+      repoStats('acme/docs', 5, 0, 1)
+    ], ['acme/worker']);
+
+    test('should line up repositories and compute deltas', () => {
+      const comparison = compareReports(oldReport, newReport);
+
+      expect(comparison.totals.additions).toEqual({ old: 185, new: 385, delta: 200 });
+      expect(comparison.totals.commits).toEqual({ old: 19, new: 17, delta: -2 });
+      expect(comparison.repos.map(repo => [repo.name, repo.status])).toEqual([
+        ['acme/api', 'changed'],
+        ['acme/web', 'appeared'],
+        ['acme/legacy', 'disappeared'],
+        ['acme/worker', 'started-failing'],
+        ['acme/docs', 'unchanged']
+      ]);
+      expect(comparison.repos[0].delta).toEqual({ additions: 200, deletions: 30, netLines: 170, commits: 2 });
+      expect(comparison).toMatchObject({ appeared: ['acme/web'], disappeared: ['acme/legacy'], startedFailing: ['acme/worker'], recovered: [] });
+      expect(compareReports(report('2024', [], ['acme/worker']), oldReport).recovered).toEqual(['acme/worker']);
+    });
+
+    test('should format the comparison as text and Markdown', () => {
+      const comparison = compareReports(oldReport, newReport);
+
+      const text = formatComparisonText(comparison);
+      expect(text).toContain('Old: test-user 2024');
+      expect(text).toContain('- Added: 185 → 385, +200 (+108.1%)');
+      expect(text).toContain('STARTED FAILING (1):\n- acme/worker');
+      expect(text).toContain('- acme/legacy [disappeared]: added -50, deleted -10, net -40, commits -5');
+      expect(text).toContain('REPOSITORY CHANGES (4 of 5)');
+
+      const markdown = formatComparisonMarkdown(comparison);
+      expect(markdown).toContain('# GitHub Lines of Code: test-user 2024 → test-user 2025');
+      expect(markdown).toContain('| Commits | 19 | 17 | -2 (-10.5%) |');
+      expect(markdown).toContain('| :new: acme/web (appeared) | +80 | 0 | +80 | +4 |');
+    });
+
+    test('should compare two report files from the command line', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-compare-'));
+      try {
+        await fs.writeFile(path.join(dir, 'old.json'), JSON.stringify(oldReport));
+        await fs.writeFile(path.join(dir, 'new.json'), JSON.stringify(newReport));
+        const outputDir = path.join(dir, 'out');
+
+        const code = await main(['compare', path.join(dir, 'old.json'), path.join(dir, 'new.json'), '--format', 'json,md', '--output-dir', outputDir]);
+
+        expect(code).toBe(EXIT_CODES.success);
+        const files = (await fs.readdir(outputDir)).sort();
+        expect(files).toEqual([expect.stringMatching(/^github-loc-compare-2024-vs-2025-.*\.json$/), expect.stringMatching(/^github-loc-compare-2024-vs-2025-.*\.md$/)]);
+        expect(JSON.parse(await fs.readFile(path.join(outputDir, files[0]), 'utf8')).startedFailing).toEqual(['acme/worker']);
+
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(await main(['compare', path.join(dir, 'old.json'), path.join(dir, 'missing.json')])).toBe(EXIT_CODES.fatal);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Could not read report'));
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+      expect(() => parseArgs(['compare', 'old.json'])).toThrow('Usage: compare <old.json> <new.json>');
+      expect(() => parseArgs(['compare', 'a.json', 'b.json', '--format', 'csv'])).toThrow('compare writes json, txt, md, not csv');
+    });
+  });
+
+  describe('merging reports', () => {
+    const period = { label: '2025', since: '2025-01-01T00:00:00.000Z', until: '2025-12-31T23:59:59.999Z', timeZone: 'UTC' };
+    const repoStats = (name, additions, extra = {}) => ({
+      name, additions, deletions: 1, netLines: additions - 1, commits: 1, sizeKB: 10,
+      truncatedCommits: 0, recoveredCommits: 0, duplicateCommits: 0,
+      fileTypeStats: { js: { additions, deletions: 1, files: 1, commits: 1 } }, languageStats: {}, timeSeries: { monthly: { '2025-03': { additions, deletions: 1, netLines: additions - 1, commits: 1 } }, weekly: {} },
+      ...extra
+    });
+    const report = (processedAt, repos, failedRepos = [], extra = {}) => ({
+      processedAt, period, users: ['test-user'], analysisMode: 'all',
+      totalAdditions: -1, totalDeletions: -1, netLines: -1, totalCommits: -1,
+      repoStats: repos,
+      runtimeStats: { totalApiCalls: 100, cachedCommits: 5, rateLimitWaitMs: 0, truncatedCommits: 0, recoveredCommits: 0, duplicateCommits: 0 },
+      processingStatus: { successful: repos.length, failed: failedRepos.length, failedRepos },
+      authorMatches: { login: repos.length },
+      warnings: [],
+      ...extra
+    });
+    const first = report('2025-06-01T00:00:00.000Z', [repoStats('acme/a', 10), repoStats('acme/b', 20)], ['acme/c']);
+    const second = report('2025-06-02T00:00:00.000Z', [repoStats('acme/b', 25), repoStats('acme/c', 40)], ['acme/d']);
+
+    test('should re-add totals and deduplicate repositories, keeping the newest', () => {
+      const results = calculator.mergeReports([{ file: 'one.json', report: first }, { file: 'two.json', report: second }]);
+
+      expect(results.repoStats.map(repo => [repo.name, repo.additions])).toEqual([['acme/a', 10], ['acme/b', 25], ['acme/c', 40]]);
+      expect(results).toMatchObject({ totalAdditions: 75, totalDeletions: 3, netLines: 72, totalCommits: 3, duplicateRepos: ['acme/b'] });
+      expect(results.fileTypeStats.js).toEqual({ additions: 75, deletions: 3, files: 3, commits: 3 });
+      expect(results.timeSeries.monthly['2025-03']).toMatchObject({ additions: 75, commits: 3 });
+      expect(results.runtimeStats).toMatchObject({ totalApiCalls: 200, cachedCommits: 10 });
+      // acme/c failed in the first run but succeeded in the second
+      expect(results.processingStatus).toEqual({ successful: 3, failed: 1, failedRepos: ['acme/d'] });
+      expect(results.mergedFrom).toEqual([
+        { file: 'one.json', processedAt: '2025-06-01T00:00:00.000Z', repositories: 2 },
+        { file: 'two.json', processedAt: '2025-06-02T00:00:00.000Z', repositories: 2 }
+      ]);
+      expect(calculator.generateTextSummary(results)).toContain('Merged From: 2 reports (one.json, two.json)');
+      expect(validateReport(JSON.parse(JSON.stringify(results)))).toEqual([]);
+      // Neither report records author matches per repository, and one.json lost acme/b
+      expect(results.authorMatches).toEqual({ login: 2 });
+      expect(results.warnings).toEqual([expect.objectContaining({ type: 'merge-breakdowns', message: expect.stringContaining('one.json') })]);
+    });
+
+    test('should reject reports with different periods or users', () => {
+      const otherPeriod = { ...second, period: { ...period, label: '2024', since: '2024-01-01T00:00:00.000Z' } };
+      expect(() => calculator.mergeReports([{ file: 'one.json', report: first }, { file: 'old.json', report: otherPeriod }]))
+        .toThrow('Cannot merge old.json: its period (2024) differs from one.json (2025)');
+      expect(() => calculator.mergeReports([{ file: 'one.json', report: first }, { file: 'bob.json', report: { ...second, users: ['bob'] } }]))
+        .toThrow('Cannot merge bob.json: its users (bob) differ from one.json (test-user)');
+    });
+
+    test('should rebuild per-user totals of team reports', () => {
+      const teamReport = (processedAt, name, alice, bob) => report(processedAt, [repoStats(name, alice + bob)], [], {
+        users: ['alice', 'bob'],
+        userStats: {
+          alice: { fileTypeStats: {}, languageStats: {}, repoStats: [{ name, additions: alice, deletions: 0, netLines: alice, commits: 1 }] },
+          bob: { fileTypeStats: {}, languageStats: {}, repoStats: [{ name, additions: bob, deletions: 0, netLines: bob, commits: 1 }] }
+        }
+      });
+      calculator = new GitHubLOCCalculator('test-token', 'alice', 2025, testOptions({ users: ['alice', 'bob'] }));
+
+      const results = calculator.mergeReports([
+        { file: 'one.json', report: teamReport('2025-06-01', 'acme/a', 3, 4) },
+        { file: 'two.json', report: teamReport('2025-06-02', 'acme/b', 10, 0) }
+      ]);
+
+      expect(results.userStats.alice).toMatchObject({ totalAdditions: 13, totalCommits: 2 });
+      expect(results.userStats.bob.repoStats).toHaveLength(2);
+      expect(results.teamStats).toMatchObject({ members: 2, totalAdditions: 17 });
+    });
+
+    test('should build author matches and per-user breakdowns from the deduplicated repositories', () => {
+      const userEntry = (name, additions) => ({
+        name, additions, deletions: 0, netLines: additions, commits: 1,
+        fileTypeStats: { js: { additions, deletions: 0, files: 1, commits: 1 } }, languageStats: {}
+      });
+      const teamReport = (processedAt, repos) => report(processedAt, repos.map(([name, alice, bob]) =>
+        repoStats(name, alice + bob, { authorMatches: { login: 1, name: 1 } })), [], {
+        users: ['alice', 'bob'],
+        authorMatches: { login: repos.length, name: repos.length },
+        userStats: {
+          alice: { fileTypeStats: {}, languageStats: {}, repoStats: repos.map(([name, alice]) => userEntry(name, alice)) },
+          bob: { fileTypeStats: {}, languageStats: {}, repoStats: repos.map(([name, , bob]) => userEntry(name, bob)) }
+        }
+      });
+      calculator = new GitHubLOCCalculator('test-token', 'alice', 2025, testOptions({ users: ['alice', 'bob'] }));
+      const one = teamReport('2025-06-01', [['acme/a', 3, 4], ['acme/b', 5, 6]]);
+      const two = teamReport('2025-06-02', [['acme/b', 7, 8]]);
+
+      const itself = calculator.mergeReports([{ file: 'one.json', report: one }, { file: 'copy.json', report: one }]);
+      expect(itself.authorMatches).toEqual({ login: 2, name: 2 });
+      expect(itself.userStats.alice.fileTypeStats.js.additions).toBe(itself.userStats.alice.totalAdditions);
+
+      const results = calculator.mergeReports([{ file: 'one.json', report: one }, { file: 'two.json', report: two }]);
+      expect(results.authorMatches).toEqual({ login: results.repoStats.length, name: results.repoStats.length });
+      ['alice', 'bob'].forEach(user => {
+        expect(results.userStats[user].fileTypeStats.js.additions).toBe(results.userStats[user].totalAdditions);
+      });
+      expect(results.userStats.alice.totalAdditions + results.userStats.bob.totalAdditions).toBe(results.totalAdditions);
+      expect(validateReport(JSON.parse(JSON.stringify(results)))).toEqual([]);
+    });
+
+    test('should merge report files through saveResults from the command line', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-merge-'));
+      try {
+        const totals = { totalAdditions: 0, totalDeletions: 0, netLines: 0, totalCommits: 0 };
+        await fs.writeFile(path.join(dir, 'one.json'), JSON.stringify({ ...first, ...totals }));
+        await fs.writeFile(path.join(dir, 'two.json'), JSON.stringify({ ...second, ...totals }));
+        const outputDir = path.join(dir, 'out');
+
+        const code = await main(['merge', path.join(dir, 'one.json'), path.join(dir, 'two.json'), '--output-dir', outputDir]);
+
+        // acme/d failed and was not retried
+        expect(code).toBe(EXIT_CODES.partial);
+        const files = (await fs.readdir(outputDir)).sort();
+        expect(files).toEqual([expect.stringMatching(/^github-loc-summary-test-user-2025-.*\.txt$/), expect.stringMatching(/^github-loc-test-user-2025-.*\.json$/)]);
+        expect(JSON.parse(await fs.readFile(path.join(outputDir, files[1]), 'utf8'))).toMatchObject({ totalAdditions: 75, duplicateRepos: ['acme/b'] });
+
+        // An old report whose file name doesn't say whose it is can't be upgraded into a mergeable one
+        const { users, ...anonymous } = first;
+        await fs.writeFile(path.join(dir, 'part.json'), JSON.stringify({ ...anonymous, ...totals }));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(await main(['merge', path.join(dir, 'part.json'), path.join(dir, 'two.json'), '--output-dir', outputDir])).toBe(EXIT_CODES.fatal);
+        expect(console.error).toHaveBeenCalledWith(`❌ Cannot merge ${path.join(dir, 'part.json')}: it names no users`);
+        await fs.writeFile(path.join(dir, 'bad.json'), JSON.stringify({ ...second, schemaVersion: 1 }));
+        expect(await main(['merge', path.join(dir, 'one.json'), path.join(dir, 'bad.json'), '--output-dir', outputDir])).toBe(EXIT_CODES.fatal);
+        expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/^❌ Cannot merge .*bad\.json: report\.\w+: .*see validate\)$/));
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+      expect(() => parseArgs(['merge', 'one.json'])).toThrow('Usage: merge <report.json> <report.json> [...]');
+    });
+  });
+
+  describe('report schema', () => {
+    const repo = { name: 'svc', full_name: 'acme/svc', owner: { login: 'acme' }, size: 12, fork: false };
+    // A report as the baseline version wrote it, before schemaVersion
+    const legacyReport = {
+      totalAdditions: 30, totalDeletions: 5, netLines: 25, totalCommits: 3,
+      repoStats: [{ name: 'acme/svc', additions: 30, deletions: 5, netLines: 25, commits: 3, sizeKB: 12, truncatedCommits: 0 }],
+      fileTypeStats: {}, warnings: [], processedAt: '2024-12-31T12:00:00.000Z',
+      runtimeStats: { totalApiCalls: 7, truncatedCommits: 0, skippedCommits: 0 },
+      processingStatus: { successful: 1, failed: 0, failedRepos: [] },
+      analysisMode: 'all'
+    };
+
+    test('should produce reports that match the published schema', async () => {
+      calculator = new GitHubLOCCalculator('test-token', 'alice', 2025, testOptions({ users: ['alice', 'bob'], maxCommits: 1 }));
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([repo]);
+      calculator.iterateCommitPages = commitPages([
+        { sha: '1', author: { login: 'alice' }, commit: { author: { date: '2025-03-04T10:00:00Z' } } },
+        { sha: '2', author: { login: 'bob' }, commit: { author: { date: '2025-03-05T10:00:00Z' } } }
+      ]);
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({ total: 0, truncated: false, files: [{ filename: 'a.js', additions: 4, deletions: 1 }] });
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.schemaVersion).toBe(REPORT_SCHEMA_VERSION);
+      expect(results.warnings).toHaveLength(1);
+      expect(validateReport(JSON.parse(JSON.stringify(results)))).toEqual([]);
+    });
+
+    test('should describe where a report differs from the schema', () => {
+      const report = upgradeReport(legacyReport);
+      report.repoStats[0].commits = '3';
+      report.analysisMode = 'weekly';
+      delete report.runtimeStats.cachedCommits;
+
+      const errors = validateReport(report);
+      expect(errors).toHaveLength(4);
+      expect(errors).toEqual(expect.arrayContaining([
+        'report.period: is required',
+        'report.repoStats[0].commits: expected integer, got string',
+        'report.runtimeStats.cachedCommits: is required',
+        'report.analysisMode: expected one of all, single, local, got "weekly"'
+      ]));
+    });
+
+    test('should upgrade older reports to the current shape', () => {
+      expect(validateReport(legacyReport)).toContain('report.schemaVersion: is required');
+
+      const upgraded = upgradeReport(legacyReport, 'reports/github-loc-octo-cat-2024-2024-12-31T12-00-00-000Z.json');
+
+      expect(validateReport(upgraded)).toEqual([]);
+      expect(upgraded).toMatchObject({
+        schemaVersion: 1,
+        users: ['octo-cat'],
+        period: { label: '2024', since: '2024-01-01T00:00:00.000Z', until: '2024-12-31T23:59:59.999Z' },
+        runtimeStats: { totalApiCalls: 7, cachedCommits: 0 }
+      });
+      expect(upgraded.repoStats[0]).toMatchObject({ recoveredCommits: 0, fileTypeStats: {}, timeSeries: { monthly: {}, weekly: {} } });
+      expect(upgradeReport(upgraded)).toBe(upgraded);
+      expect(() => upgradeReport({ ...upgraded, schemaVersion: 2 }, 'next.json')).toThrow('next.json uses schema version 2');
+    });
+
+    test('should validate report files from the command line', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'loc-validate-'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const legacyFile = path.join(dir, 'github-loc-octocat-2024-2024-12-31T12-00-00-000Z.json');
+        const currentFile = path.join(dir, 'current.json');
+        await fs.writeFile(legacyFile, JSON.stringify(legacyReport));
+        await fs.writeFile(currentFile, JSON.stringify(upgradeReport(legacyReport, legacyFile)));
+
+        expect(await main(['validate', currentFile])).toBe(EXIT_CODES.success);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('is a valid schema version 1 report'));
+        expect(await main(['validate', legacyFile])).toBe(EXIT_CODES.fatal);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('uses schema version 0; it upgrades cleanly'));
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+      expect(() => parseArgs(['validate'])).toThrow('Usage: validate <report.json>');
+    });
+  });
+
+  describe('churn and rework', () => {
+    const repo = { name: 'svc', full_name: 'acme/svc', owner: { login: 'acme' }, size: 1, fork: false };
+    const commit = (sha, date, login = 'test-user') => ({ sha, author: { login }, commit: { author: { date } } });
+    const change = (filename, additions, deletions) => ({ filename, additions, deletions });
+    // Listed newest first, as GitHub and git log return them
+    const history = [
+      [commit('c3', '2025-03-20T10:00:00Z'), [change('src/a.js', 10, 2), change('src/b.js', 4, 0)]],
+      [commit('c2', '2025-03-10T10:00:00Z'), [change('src/a.js', 5, 0)]],
+      [commit('c1', '2025-01-01T10:00:00Z'), [change('src/a.js', 20, 0), change('src/b.js', 6, 0)]]
+    ];
+    const useHistory = commits => {
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([repo]);
+      calculator.iterateCommitPages = commitPages(commits.map(([listed]) => listed));
+      const files = new Map(commits.map(([listed, changes]) => [listed.sha, changes]));
+      calculator.getCommitStatsWithRetry = jest.fn(async (owner, name, sha) => ({ total: 0, truncated: false, files: files.get(sha) }));
+    };
+
+    test('should count changes to files the same author changed within the window as rework', async () => {
+      useHistory(history);
+
+      const result = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      // Only the March 20 change to a.js follows an earlier one (March 10) within 21 days
+      expect(result.stats.churn).toEqual({
+        reworkAdditions: 10,
+        reworkDeletions: 2,
+        churnPercent: 25.5,
+        files: [{ file: 'src/a.js', additions: 35, deletions: 2, changes: 3, reworkChanges: 1 }]
+      });
+    });
+
+    test('should count a change exactly --rework-days after the previous one as rework', async () => {
+      useHistory([
+        [commit('c3', '2025-04-12T10:00:01Z'), [change('src/b.js', 7, 0)]],
+        [commit('c2', '2025-03-22T10:00:00Z'), [change('src/a.js', 5, 0), change('src/b.js', 3, 0)]],
+        [commit('c1', '2025-03-01T10:00:00Z'), [change('src/a.js', 20, 0)]]
+      ]);
+
+      const result = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      // a.js: exactly 21 days apart counts; b.js: one second more does not
+      expect(result.stats.churn).toMatchObject({ reworkAdditions: 5, reworkDeletions: 0 });
+    });
+
+    test('should honor --rework-days and ignore changes by other authors', async () => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ reworkDays: 70 }));
+      useHistory(history);
+      expect((await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'))).stats.churn)
+        .toMatchObject({ reworkAdditions: 15, reworkDeletions: 2, churnPercent: 36.2 });
+
+      calculator = new GitHubLOCCalculator('test-token', 'alice', 2025, testOptions({ users: ['alice', 'bob'] }));
+      useHistory([
+        [commit('c2', '2025-03-12T10:00:00Z', 'bob'), [change('src/a.js', 5, 5)]],
+        [commit('c1', '2025-03-10T10:00:00Z', 'alice'), [change('src/a.js', 20, 0)]]
+      ]);
+      expect((await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'))).stats.churn)
+        .toMatchObject({ reworkAdditions: 0, reworkDeletions: 0, churnPercent: 0, files: [] });
+
+      expect(parseArgs(['--rework-days', '14']).reworkDays).toBe(14);
+      expect(() => parseArgs(['--rework-days', '0'])).toThrow('--rework-days must be a positive integer');
+    });
+
+    test('should show churn per repository and overall next to the raw numbers', async () => {
+      useHistory(history);
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.churn).toEqual({ reworkDays: 21, reworkAdditions: 10, reworkDeletions: 2, churnPercent: 25.5 });
+      expect(results.repoStats[0].churn.churnPercent).toBe(25.5);
+      const summary = calculator.generateTextSummary(results);
+      expect(summary).toContain('- Churn: 25.5% (+10 -2 lines reworked within 21 days)');
+      expect(summary).toContain('1. acme/svc: +45 lines (3 commits, 25.5% churn)');
+      expect(calculator.generateMarkdownSummary(results)).toContain('| Churn (rework within 21 days) | 25.5% |');
+      expect(validateReport(JSON.parse(JSON.stringify(results)))).toEqual([]);
+
+      calculator.printSummary(results);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('- Churn: 25.5% (+10 -2 lines reworked within 21 days)'));
+    });
+  });
+
+  describe('streaming commit processing', () => {
+    const repo = { name: 'svc', full_name: 'acme/svc', owner: { login: 'acme' }, size: 1 };
+    const listPage = (start, count) => ({
+      data: Array.from({ length: count }, (_, i) => ({ sha: `c${start + i}`, author: { login: 'test-user' } }))
+    });
+
+    beforeEach(() => {
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({
+        total: 1, truncated: false, files: [{ filename: 'src/a.js', additions: 1, deletions: 0 }]
+      });
+    });
+
+    test('should process every page without a commit cap', async () => {
+      const listCommits = jest.fn();
+      for (let page = 0; page < 55; page++) {
+        listCommits.mockResolvedValueOnce(listPage(page * 100, 100));
+      }
+      listCommits.mockResolvedValueOnce({ data: [] });
+      calculator.octokit.rest.repos.listCommits = listCommits;
+
+      const result = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(result.stats).toMatchObject({ commits: 5500, additions: 5500, commitLimitReached: false });
+      expect(listCommits).toHaveBeenCalledTimes(56);
+    });
+
+    test('should fetch stats for a page before listing the next one', async () => {
+      const events = [];
+      calculator.octokit.rest.repos.listCommits = jest.fn(async ({ page }) => {
+        events.push(`list ${page}`);
+        return page <= 2 ? listPage(page * 100, 100) : { data: [] };
+      });
+      calculator.getCommitStatsWithRetry = jest.fn(async (owner, name, sha) => {
+        if (sha.endsWith('00')) {
+          events.push(`stats ${sha}`);
+        }
+        return { total: 0, truncated: false, files: [] };
+      });
+
+      await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(events).toEqual(['list 1', 'stats c100', 'list 2', 'stats c200', 'list 3']);
+    });
+
+    test('should stop at --max-commits and record the repository in warnings', async () => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ maxCommits: 150 }));
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([repo]);
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({ total: 0, truncated: false, files: [] });
+      calculator.octokit.rest.repos.listCommits = jest.fn(async ({ page }) => listPage(page * 100, 100));
+
+      const results = await calculator.calculateLOCForYear();
+
+      expect(results.totalCommits).toBe(150);
+      expect(calculator.octokit.rest.repos.listCommits).toHaveBeenCalledTimes(2);
+      expect(results.warnings).toEqual([expect.objectContaining({ type: 'commit-limit', repo: 'acme/svc', limit: 150 })]);
+      expect(calculator.generateTextSummary(results)).toContain('- acme/svc was cut short after 150 commits');
+      expect(calculator.generateMarkdownSummary(results)).toContain(':warning: acme/svc was cut short after 150 commits');
+    });
+
+    test('should not warn when a repository has exactly --max-commits commits', async () => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ maxCommits: 100 }));
+      calculator.getCommitStatsWithRetry = jest.fn().mockResolvedValue({ total: 0, truncated: false, files: [] });
+      calculator.octokit.rest.repos.listCommits = jest.fn()
+        .mockResolvedValueOnce(listPage(0, 100))
+        .mockResolvedValueOnce({ data: [] });
+
+      const result = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(result.stats).toMatchObject({ commits: 100, commitLimitReached: false });
+    });
+
+    test('should estimate a repository with exactly --max-commits commits like the real run', async () => {
+      calculator = new GitHubLOCCalculator('test-token', 'test-user', 2025, testOptions({ maxCommits: 100 }));
+      calculator.getAllRepositories = jest.fn().mockResolvedValue([repo]);
+      calculator.octokit.rest.repos.listCommits = jest.fn()
+        .mockResolvedValueOnce(listPage(0, 100))
+        .mockResolvedValueOnce({ data: [] });
+
+      const estimate = await calculator.estimateRun();
+
+      expect(estimate.repositories[0]).toMatchObject({ commits: 100 });
+      expect(estimate.repositories[0].commitLimitReached).toBeUndefined();
+      expect(calculator.octokit.rest.repos.listCommits).toHaveBeenCalledTimes(2);
+    });
+
+    test('should fail the repository when listing commits fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      calculator.octokit.rest.repos.listCommits = jest.fn()
+        .mockResolvedValueOnce(listPage(0, 100))
+        .mockRejectedValueOnce(new Error('Server Error'));
+
+      const result = await calculator.processRepository(repo, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(result).toMatchObject({ success: false, error: 'Server Error' });
+    });
+
+    test('should parse --max-commits', () => {
+      expect(parseArgs([]).maxCommits).toBeNull();
+      expect(parseArgs(['--max-commits', '2000']).maxCommits).toBe(2000);
+      expect(() => parseArgs(['--max-commits', '0'])).toThrow('--max-commits must be a positive integer');
+    });
+  });
+});
+
 // Run tests if this file is executed directly
 if (require.main === module) {
   const { execSync } = require('child_process');